@@ -1,8 +1,19 @@
-import { AudioAnalyzer } from './audio-analyzer.js';
+import { AudioAnalyzer, DEFAULT_BANDS, CORE_BANDS } from './audio-analyzer.js';
 import { MidiHandler } from './midi-handler.js';
 import { midiPlayerManager } from './midi-player-manager.js';
 import { Visualizers } from './visualizers.js';
 import { VideoExporter } from './video-exporter.js';
+import { MidiOfflineRenderer } from './midi-offline-renderer.js';
+import { GM_INSTRUMENTS } from './gm-instruments.js';
+import { DRUM_CHANNEL } from './midi-transpose.js';
+import { isSoundBankFile } from './soundbank-library.js';
+import { getAssetCacheSize, clearAssetCache } from './asset-cache.js';
+import { clearPreAnalysisCache } from './audio-pre-analysis.js';
+import { MissingAssetError } from './asset-resolver.js';
+import { MidiLiveInput } from './midi-live-input.js';
+import { MidiLiveRecorder } from './midi-live-recorder.js';
+import { Playlist, RepeatMode, isMidiFile, collectDroppedFiles } from './playlist.js';
+import { PlaybackEvent } from './playback-events.js';
 
 /**
  * Main Application Module
@@ -11,14 +22,28 @@ class AudioVisualizerApp {
     constructor() {
         this.canvas = document.getElementById('visualizer');
         this.ctx = this.canvas.getContext('2d');
-        this.analyzer = new AudioAnalyzer(2048);
+        this.analyzer = new AudioAnalyzer();
         this.midiHandler = new MidiHandler(); // For visualization data processing
         this.midiPlayer = midiPlayerManager;  // Unified MIDI Player (handles all player types)
         this.visualizers = [];
         this.currentModeIndex = 0;
         this.isPlaying = false;
         this.isMidiMode = false;
+        this.mutedChannelDisplay = 'dim'; // How muted/un-soloed channels look: 'dim' | 'hide' | 'show'
+        this.loopPoints = { start: null, end: null }; // A-B loop in seconds, applied once both are set
+        this.lastSongTime = 0; // Previous frame's position, to spot jumps back (loop wrap, seek, restart)
         this.videoExporter = new VideoExporter(this.canvas, this);
+        this.offlineRenderer = new MidiOfflineRenderer(); // MIDI -> WAV/FLAC without the live AudioContext
+        this.liveInput = new MidiLiveInput(); // Web MIDI keyboard driving the visualizers
+        this.isLiveMode = false;
+        this.liveSound = true;       // Also play live notes through SpessaSynth
+        this.liveUnsubscribe = null;
+        this.liveTrackName = null;   // File name shown before live mode, put back afterwards
+        this.liveRecorder = new MidiLiveRecorder();
+        this.lastRecording = null;   // Last take as a .mid File, for loading into the player
+        this.playlist = new Playlist(); // Queue of MIDI and audio files, advanced when a track ends
+        this.isAudioInputMode = false;   // Microphone / line-in analysed instead of the file
+        this.audioInputTrackName = null; // File name shown before the input started, put back afterwards
 
         // Element Selectors - Updated to match index.html
         this.elements = {
@@ -28,12 +53,20 @@ class AudioVisualizerApp {
             trackName: document.getElementById('trackName'),
             toast: document.getElementById('toast'),
             progress: document.getElementById('progress'),
+            loopRegion: document.getElementById('loopRegion'),
             trackTime: document.getElementById('trackTime'),
             controls: document.getElementById('controls'),
             dropZone: document.getElementById('dropZone'),
             settingsPanel: document.getElementById('settingsPanel'),
             settingsToggle: document.getElementById('settingsToggle'),
             closeSettings: document.getElementById('closeSettings'),
+            mixerPanel: document.getElementById('mixerPanel'),
+            mixerToggle: document.getElementById('mixerToggle'),
+            closeMixer: document.getElementById('closeMixer'),
+            mixerChannels: document.getElementById('mixerChannels'),
+            queuePanel: document.getElementById('queuePanel'),
+            queueList: document.getElementById('queueList'),
+            soundBankList: document.getElementById('soundBankList'),
             fpsCounter: document.getElementById('fps')
         };
 
@@ -51,7 +84,17 @@ class AudioVisualizerApp {
 
             this.setupEventListeners();
             this.setupSettingsListeners();
+            this.setupMixerListeners();
+            this.setupLoopListeners();
             this.setupExportListeners();
+            this.setupRenderListeners();
+            this.setupSoundBankListeners();
+            this.setupLiveInputListeners();
+            this.setupMidiOutputListeners();
+            this.setupAudioInputListeners();
+            this.setupSpectrumListeners();
+            this.setupQueueListeners();
+            this.setupPlaybackEvents();
 
             // Audio will be initialized on first user gesture
             requestAnimationFrame((t) => this.animate(t));
@@ -133,6 +176,7 @@ class AudioVisualizerApp {
         if (this.elements.settingsToggle) {
             this.elements.settingsToggle.addEventListener('click', () => {
                 this.elements.settingsPanel.classList.toggle('open');
+                if (this.elements.settingsPanel.classList.contains('open')) this.updateCacheSize();
             });
         }
 
@@ -147,14 +191,21 @@ class AudioVisualizerApp {
         if (dz) {
             dz.addEventListener('dragover', (e) => { e.preventDefault(); dz.classList.add('dragover'); });
             dz.addEventListener('dragleave', () => dz.classList.remove('dragover'));
-            dz.addEventListener('drop', (e) => {
+            dz.addEventListener('drop', async (e) => {
                 e.preventDefault();
+                e.stopPropagation();
                 dz.classList.remove('dragover');
-                const file = e.dataTransfer.files[0];
-                if (file) this.processFile(file);
+                this.openFiles(await collectDroppedFiles(e.dataTransfer));
             });
         }
 
+        // Files dropped anywhere else on the app, e.g. a sound bank or more tracks while a song plays
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            this.openFiles(await collectDroppedFiles(e.dataTransfer));
+        });
+
         // Restart Button
         const restartBtn = document.getElementById('restartBtn');
         if (restartBtn) {
@@ -163,7 +214,8 @@ class AudioVisualizerApp {
                     this.midiPlayer.stop();
                     this.midiPlayer.play(0);
                 } else {
-                    if (this.analyzer.seek) this.analyzer.seek(0);
+                    this.analyzer.seek(0);
+                    this.analyzer.play(); // Also after the file ended
                 }
                 this.isPlaying = true;
                 this.updatePlayBtnState();
@@ -171,28 +223,11 @@ class AudioVisualizerApp {
             });
         }
 
-        // Next Track Button
+        // Previous / Next Track Buttons
+        const prevBtn = document.getElementById('prevBtn');
+        if (prevBtn) prevBtn.addEventListener('click', () => this.playPrevious());
         const nextBtn = document.getElementById('nextBtn');
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
-                // Get list of files from the file input
-                const files = this.elements.fileInput?.files;
-                if (files && files.length > 1) {
-                    // Find current and play next
-                    const currentName = this.elements.trackName?.innerText;
-                    let nextIndex = 0;
-                    for (let i = 0; i < files.length; i++) {
-                        if (files[i].name.replace(/\.[^/.]+$/, "") === currentName) {
-                            nextIndex = (i + 1) % files.length;
-                            break;
-                        }
-                    }
-                    this.processFile(files[nextIndex]);
-                } else {
-                    this.showToast('Sırada başka parça yok');
-                }
-            });
-        }
+        if (nextBtn) nextBtn.addEventListener('click', () => this.playNext());
 
         // Progress Bar Seek
         if (this.elements.progress) {
@@ -202,15 +237,132 @@ class AudioVisualizerApp {
                 if (this.isMidiMode) {
                     const duration = this.midiPlayer.getDuration();
                     this.midiPlayer.seek(percent * duration);
-                } else {
-                    if (this.analyzer.duration && this.analyzer.seek) {
-                        this.analyzer.seek(percent * this.analyzer.duration);
-                    }
+                } else if (this.analyzer.duration > 0) {
+                    this.analyzer.seek(percent * this.analyzer.duration);
                 }
             });
         }
     }
 
+    setupLoopListeners() {
+        const startBtn = document.getElementById('loopStartBtn');
+        const endBtn = document.getElementById('loopEndBtn');
+        const clearBtn = document.getElementById('loopClearBtn');
+
+        if (startBtn) startBtn.addEventListener('click', () => this.setLoopPoint('start', this.getPlaybackTime()));
+        if (endBtn) endBtn.addEventListener('click', () => this.setLoopPoint('end', this.getPlaybackTime()));
+        if (clearBtn) clearBtn.addEventListener('click', () => {
+            this.clearLoop();
+            this.showToast('Döngü kaldırıldı');
+        });
+
+        // Shift+click places the loop start, Alt+click the loop end, without seeking
+        if (this.elements.progress) {
+            this.elements.progress.addEventListener('mousedown', (e) => {
+                if (!e.shiftKey && !e.altKey) return;
+                e.preventDefault();
+                const rect = this.elements.progress.getBoundingClientRect();
+                const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+                this.setLoopPoint(e.shiftKey ? 'start' : 'end', percent * this.getPlaybackDuration());
+            });
+        }
+    }
+
+    getPlaybackTime() {
+        if (this.isMidiMode) return this.midiPlayer.getCurrentTime();
+        return this.analyzer.currentTime;
+    }
+
+    getPlaybackDuration() {
+        if (this.isMidiMode) return this.midiPlayer.getDuration();
+        return this.analyzer.duration;
+    }
+
+    // A or B point of the loop; the loop starts repeating once both are set
+    setLoopPoint(which, time) {
+        if (this.getPlaybackDuration() <= 0) return;
+        this.loopPoints[which] = time;
+        if (which === 'end' && this.loopPoints.start === null) this.loopPoints.start = 0;
+
+        const { start, end } = this.loopPoints;
+        if (end !== null) {
+            const loop = this.isMidiMode ? this.midiPlayer.setLoop(start, end) : this.analyzer.setLoop(start, end);
+            if (!loop) {
+                this.loopPoints.end = null;
+                this.midiPlayer.clearLoop();
+                this.analyzer.clearLoop();
+                this.showToast('Döngü çok kısa');
+            } else {
+                this.loopPoints = { start: loop.start, end: loop.end };
+                this.showToast(`Döngü: ${this.formatTime(loop.start)} – ${this.formatTime(loop.end)}`);
+            }
+        } else {
+            this.showToast(`Döngü başı: ${this.formatTime(start)}`);
+        }
+        this.renderLoopRegion();
+    }
+
+    clearLoop() {
+        this.loopPoints = { start: null, end: null };
+        this.midiPlayer.clearLoop();
+        this.analyzer.clearLoop();
+        this.renderLoopRegion();
+    }
+
+    // Loop bounds over the progress bar; only the start edge while B is not set yet
+    renderLoopRegion() {
+        const region = this.elements.loopRegion;
+        if (!region) return;
+        const { start, end } = this.loopPoints;
+        const duration = this.getPlaybackDuration();
+
+        region.classList.toggle('visible', start !== null && duration > 0);
+        region.classList.toggle('pending', start !== null && end === null);
+        document.getElementById('loopStartBtn')?.classList.toggle('active', start !== null);
+        document.getElementById('loopEndBtn')?.classList.toggle('active', end !== null);
+        if (start === null || duration <= 0) return;
+
+        region.style.left = `${(start / duration) * 100}%`;
+        region.style.width = end !== null ? `${((end - start) / duration) * 100}%` : '0';
+    }
+
+    // Play state, seeks, track ends, errors and notes of the MIDI player and the audio analyzer
+    setupPlaybackEvents() {
+        // Each source only speaks for the app while it is the one playing
+        const sources = [
+            { emitter: this.midiPlayer, isActive: () => this.isMidiMode },
+            { emitter: this.analyzer, isActive: () => !this.isMidiMode }
+        ];
+        sources.forEach(({ emitter, isActive }) => {
+            const on = (type, handler) => emitter.on(type, (detail) => {
+                if (isActive()) handler(detail);
+            });
+            on(PlaybackEvent.LOADED, ({ duration }) => {
+                if (this.elements.trackTime) this.elements.trackTime.innerText = `0:00 / ${this.formatTime(duration)}`;
+            });
+            on(PlaybackEvent.PLAY, () => this.setPlaying(true));
+            on(PlaybackEvent.PAUSE, () => this.setPlaying(false));
+            on(PlaybackEvent.SEEK, ({ time }) => this.notifyDiscontinuity(time));
+            on(PlaybackEvent.ENDED, () => this.onTrackEnded());
+            on(PlaybackEvent.ERROR, ({ error }) => this.showToast(error.message));
+            on(PlaybackEvent.NOTE_ON, (note) => this.visualizers.forEach(v => v.onNoteOn && v.onNoteOn(note)));
+            on(PlaybackEvent.NOTE_OFF, (note) => this.visualizers.forEach(v => v.onNoteOff && v.onNoteOff(note)));
+            on(PlaybackEvent.TEMPO_CHANGE, ({ bpm }) => this.visualizers.forEach(v => v.onTempoChange && v.onTempoChange(bpm)));
+            on(PlaybackEvent.ANALYZED, ({ analysis }) => this.visualizers.forEach(v => v.onPreAnalysis && v.onPreAnalysis(analysis)));
+        });
+    }
+
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        this.updatePlayBtnState();
+    }
+
+    // Tell every visualizer that playback jumped, so history-keeping ones can break their trails
+    notifyDiscontinuity(time) {
+        this.visualizers.forEach(v => v.onDiscontinuity && v.onDiscontinuity(time));
+        this.lastSongTime = time;
+    }
+
     setupSettingsListeners() {
         // Sensitivity
         const sensRange = document.getElementById('sensitivityRange');
@@ -274,6 +426,80 @@ class AudioVisualizerApp {
             });
         }
 
+        // MIDI Player Backend
+        const playerSelect = document.getElementById('playerSelect');
+        const playerHint = document.getElementById('playerHint');
+        // Backends without controllers and pitch bend say so, next to their name and below the list
+        const updatePlayerHint = () => {
+            if (playerHint) playerHint.hidden = this.midiPlayer.supportsControllers();
+        };
+        if (playerSelect) {
+            this.midiPlayer.getAvailablePlayers().forEach(({ type, name, controllers }) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.innerText = controllers ? name : `${name} (yalnız notalar)`;
+                playerSelect.appendChild(option);
+            });
+            playerSelect.value = this.midiPlayer.getPlayerInfo().type;
+            updatePlayerHint();
+
+            playerSelect.addEventListener('change', async (e) => {
+                playerSelect.disabled = true;
+                this.showToast('Oynatıcı değiştiriliyor...');
+                try {
+                    await this.midiPlayer.switchPlayer(e.target.value);
+                    if (this.isLiveMode && this.liveSound) await this.prepareLiveSound();
+                    this.showToast(`Oynatıcı: ${this.midiPlayer.getPlayerInfo().name}`);
+                } catch (err) {
+                    console.error('❌ App: Player switch failed:', err);
+                    this.showToast(err instanceof MissingAssetError ? err.message : 'Oynatıcı değiştirilemedi');
+                } finally {
+                    playerSelect.value = this.midiPlayer.getPlayerInfo().type;
+                    playerSelect.disabled = false;
+                    updatePlayerHint();
+                }
+            });
+        }
+
+        // MIDI Playback Rate (tempo only, pitch unchanged)
+        const rateRange = document.getElementById('rateRange');
+        const rateVal = document.getElementById('rateValue');
+        if (rateRange) {
+            rateRange.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                this.midiPlayer.setPlaybackRate(val);
+                if (rateVal) rateVal.innerText = `${Math.round(val * 100)}%`;
+            });
+        }
+
+        // Global Transpose (audio and note data together, drums untouched)
+        const transposeRange = document.getElementById('transposeRange');
+        const transposeVal = document.getElementById('transposeValue');
+        if (transposeRange) {
+            transposeRange.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                this.midiPlayer.setTranspose(val);
+                this.midiHandler.setTranspose(this.midiPlayer.getTranspose());
+                if (transposeVal) transposeVal.innerText = val > 0 ? `+${val}` : `${val}`;
+            });
+        }
+
+        // Asset Cache (SoundFonts, instrument presets, samples)
+        const cacheClearBtn = document.getElementById('cacheClearBtn');
+        if (cacheClearBtn) {
+            cacheClearBtn.addEventListener('click', async () => {
+                try {
+                    await clearAssetCache();
+                    await clearPreAnalysisCache();
+                    this.showToast('Önbellek temizlendi');
+                } catch (e) {
+                    console.error('❌ App: Cache clear failed:', e);
+                    this.showToast('Önbellek temizlenemedi');
+                }
+                this.updateCacheSize();
+            });
+        }
+
         // Adjustment Buttons (+ / -)
         document.querySelectorAll('.adj-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -284,6 +510,8 @@ class AudioVisualizerApp {
                 else if (target === 'glow') input = document.getElementById('glowRange');
                 else if (target === 'speed') input = document.getElementById('speedRange');
                 else if (target === 'particles') input = document.getElementById('particlesRange');
+                else if (target === 'rate') input = document.getElementById('rateRange');
+                else if (target === 'transpose') input = document.getElementById('transposeRange');
 
                 if (input) {
                     const step = parseFloat(input.step) || 1;
@@ -315,6 +543,18 @@ class AudioVisualizerApp {
         });
     }
 
+    async updateCacheSize() {
+        const label = document.getElementById('cacheSizeValue');
+        if (!label) return;
+        try {
+            const { bytes, entries } = await getAssetCacheSize();
+            label.innerText = `${(bytes / (1024 * 1024)).toFixed(1)} MB · ${entries} dosya`;
+        } catch (e) {
+            console.warn('⚠️ App: Cache size unavailable:', e);
+            label.innerText = '–';
+        }
+    }
+
     setupExportListeners() {
         const startBtn = document.getElementById('startExportBtn');
         const status = document.getElementById('exportStatus');
@@ -348,14 +588,731 @@ class AudioVisualizerApp {
         }
     }
 
+    // Offline MIDI render with the current mixer, transpose, instruments and tempo
+    setupRenderListeners() {
+        const renderBtn = document.getElementById('renderAudioBtn');
+        const formatSelect = document.getElementById('renderFormatSelect');
+        const progress = document.getElementById('renderProgress');
+        const progressFill = document.getElementById('renderProgressFill');
+        if (!renderBtn) return;
+
+        renderBtn.addEventListener('click', async () => {
+            const midi = this.midiPlayer.getMidi();
+            if (!this.isMidiMode || !midi) {
+                this.showToast('Önce bir MIDI dosyası yükleyin');
+                return;
+            }
+
+            const format = formatSelect?.value || 'wav';
+            const setProgress = (value) => {
+                progressFill.style.width = `${Math.round(value * 100)}%`;
+                renderBtn.innerText = `%${Math.round(value * 100)}`;
+            };
+            renderBtn.disabled = true;
+            progress.classList.add('active');
+            setProgress(0);
+            this.showToast('Ses oluşturuluyor...');
+
+            try {
+                const buffer = await this.offlineRenderer.render(midi, this.midiPlayer.getRenderSettings(), setProgress);
+                const blob = this.offlineRenderer.encode(buffer, format);
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                const baseName = this.elements.trackName?.innerText || 'midi';
+                a.href = url;
+                a.download = `${baseName}.${format}`;
+                a.click();
+                URL.revokeObjectURL(url);
+                console.log(`✅ App: Rendered audio saved: ${a.download}`);
+                this.showToast(`Ses kaydedildi: ${a.download}`);
+            } catch (e) {
+                console.error('❌ App: Offline render failed:', e);
+                this.showToast(e instanceof MissingAssetError ? e.message : 'Ses oluşturulamadı');
+            } finally {
+                renderBtn.disabled = false;
+                renderBtn.innerText = 'Dışa Aktar';
+                progress.classList.remove('active');
+            }
+        });
+    }
+
+    setupSoundBankListeners() {
+        const input = document.getElementById('soundBankInput');
+        if (input) {
+            input.addEventListener('change', (e) => {
+                [...e.target.files].forEach(file => this.loadSoundBank(file));
+                e.target.value = '';
+            });
+        }
+        this.renderSoundBanks();
+    }
+
+    async loadSoundBank(file) {
+        this.showToast(`Ses bankası yükleniyor: ${file.name}`);
+        try {
+            const bank = await this.midiPlayer.addSoundBank(file);
+            this.renderSoundBanks();
+            // Kept for later either way, the bank is applied once a SoundFont player is selected
+            this.showToast(this.midiPlayer.supportsSoundBanks()
+                ? `Ses bankası: ${bank.name} (${bank.presets.length} enstrüman)`
+                : `Ses bankası eklendi, SpessaSynth veya FluidSynth ile çalınır`);
+        } catch (e) {
+            console.error('❌ App: Sound bank failed:', e);
+            this.showToast('Ses bankası yüklenemedi');
+        }
+    }
+
+    // Loaded banks in priority order, each with its preset list, above the built-in GM set
+    renderSoundBanks() {
+        const container = this.elements.soundBankList;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const banks = this.midiPlayer.getSoundBanks();
+        banks.forEach((bank, index) => {
+            const item = document.createElement('details');
+            item.className = 'soundbank-item';
+
+            const summary = document.createElement('summary');
+            const name = document.createElement('span');
+            name.className = 'soundbank-name';
+            name.innerText = bank.name;
+            name.title = bank.fileName;
+            const meta = document.createElement('span');
+            meta.className = 'soundbank-meta';
+            meta.innerText = `${bank.format.toUpperCase()} · ${bank.presets.length}`;
+            summary.append(name, meta);
+
+            const actions = [
+                { label: '↑', title: 'Önceliği artır', disabled: index === 0, run: () => this.midiPlayer.moveSoundBank(bank.id, -1) },
+                { label: '↓', title: 'Önceliği azalt', disabled: index === banks.length - 1, run: () => this.midiPlayer.moveSoundBank(bank.id, 1) },
+                { label: '✕', title: 'Kaldır', disabled: false, run: () => this.midiPlayer.removeSoundBank(bank.id) }
+            ];
+            actions.forEach(({ label, title, disabled, run }) => {
+                const btn = document.createElement('button');
+                btn.className = 'mixer-btn';
+                btn.innerText = label;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener('click', async (e) => {
+                    e.preventDefault(); // Keep the preset list from toggling
+                    try {
+                        await run();
+                    } catch (err) {
+                        console.error('❌ App: Sound bank update failed:', err);
+                        this.showToast('Ses bankası güncellenemedi');
+                    }
+                    this.renderSoundBanks();
+                });
+                summary.appendChild(btn);
+            });
+            item.appendChild(summary);
+
+            const presets = document.createElement('ul');
+            presets.className = 'soundbank-presets';
+            bank.presets.forEach(preset => {
+                const li = document.createElement('li');
+                const patch = `${String(preset.bank).padStart(3, '0')}:${String(preset.program).padStart(3, '0')}`;
+                li.innerText = `${patch} ${preset.name}${preset.isDrum ? ' 🥁' : ''}`;
+                presets.appendChild(li);
+            });
+            item.appendChild(presets);
+            container.appendChild(item);
+        });
+
+        const base = document.createElement('div');
+        base.className = 'soundbank-base';
+        base.innerText = 'FluidR3 GM (temel set)';
+        container.appendChild(base);
+    }
+
+    setupLiveInputListeners() {
+        const liveBtn = document.getElementById('liveMidiBtn');
+        const inputSelect = document.getElementById('midiInputSelect');
+        const soundToggle = document.getElementById('liveSoundToggle');
+        if (!liveBtn) return;
+
+        if (!MidiLiveInput.isSupported()) {
+            liveBtn.disabled = true;
+            liveBtn.title = 'Bu tarayıcı Web MIDI desteklemiyor';
+        }
+        liveBtn.addEventListener('click', () => {
+            if (this.isLiveMode) this.stopLiveMode();
+            else this.startLiveMode();
+        });
+        if (inputSelect) {
+            inputSelect.addEventListener('change', (e) => this.liveInput.selectInput(e.target.value));
+        }
+        if (soundToggle) {
+            soundToggle.checked = this.liveSound;
+            soundToggle.addEventListener('change', (e) => {
+                this.liveSound = e.target.checked;
+                if (this.isLiveMode && this.liveSound) this.prepareLiveSound();
+            });
+        }
+        this.liveInput.onInputsChange(() => this.renderMidiInputs());
+
+        const recordBtn = document.getElementById('liveRecordBtn');
+        const openBtn = document.getElementById('liveRecordOpenBtn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (this.liveRecorder.isRecording) this.stopLiveRecording();
+                else this.startLiveRecording();
+            });
+        }
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                if (this.lastRecording) this.enqueueAndPlay(this.lastRecording);
+            });
+        }
+    }
+
+    startLiveRecording() {
+        if (!this.isLiveMode) return;
+        this.liveRecorder.start(this.liveInput);
+        this.updateLiveBtnState();
+        this.showToast('Kayıt başladı');
+    }
+
+    // Saves the take as .mid; it stays available for the player through "Kaydı Aç"
+    stopLiveRecording() {
+        const recording = this.liveRecorder.stop(this.liveInput);
+        if (!recording) {
+            this.updateLiveBtnState();
+            this.showToast('Kayıt boş, nota çalınmadı');
+            return;
+        }
+
+        this.lastRecording = recording.file;
+        const url = URL.createObjectURL(recording.file);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = recording.file.name;
+        a.click();
+        URL.revokeObjectURL(url);
+        console.log(`✅ App: Live recording saved: ${a.download}`);
+        this.showToast(`Kayıt kaydedildi: ${recording.noteCount} nota, ${this.formatTime(recording.duration)}`);
+        this.updateLiveBtnState();
+    }
+
+    async startLiveMode() {
+        try {
+            await this.liveInput.connect();
+        } catch (e) {
+            console.error('❌ App: MIDI access failed:', e);
+            this.showToast(e.message || 'MIDI girişine erişilemedi');
+            return;
+        }
+
+        // Live playing takes over the screen from the file
+        if (this.isPlaying) this.togglePlayback();
+        this.stopAudioInput();
+        this.isLiveMode = true;
+        this.liveUnsubscribe = this.liveInput.onEvent((event) => {
+            if (this.liveSound) this.midiPlayer.sendLiveEvent(event);
+        });
+        if (this.elements.trackName) {
+            this.liveTrackName = this.elements.trackName.innerText;
+            this.elements.trackName.innerText = 'Canlı MIDI';
+        }
+        this.renderMidiInputs();
+        this.updateLiveBtnState();
+
+        const count = this.liveInput.getInputs().length;
+        this.showToast(count > 0 ? `Canlı MIDI: ${count} giriş dinleniyor` : 'Canlı MIDI: bağlı cihaz yok');
+        if (this.liveSound) await this.prepareLiveSound();
+    }
+
+    stopLiveMode() {
+        if (!this.isLiveMode) return;
+        if (this.liveRecorder.isRecording) this.stopLiveRecording();
+        if (this.liveUnsubscribe) this.liveUnsubscribe();
+        this.liveUnsubscribe = null;
+        this.liveInput.disconnect();
+        this.isLiveMode = false;
+        if (this.elements.trackName && this.liveTrackName !== null) {
+            this.elements.trackName.innerText = this.liveTrackName;
+        }
+        this.updateLiveBtnState();
+    }
+
+    async prepareLiveSound() {
+        try {
+            if (!(await this.midiPlayer.prepareLiveSound())) {
+                this.showToast('Canlı ses için SpessaSynth oynatıcısını seçin');
+            }
+        } catch (e) {
+            console.error('❌ App: Live sound failed:', e);
+            this.showToast(e instanceof MissingAssetError ? e.message : 'Canlı ses başlatılamadı');
+        }
+    }
+
+    updateLiveBtnState() {
+        const liveBtn = document.getElementById('liveMidiBtn');
+        if (!liveBtn) return;
+        liveBtn.classList.toggle('active', this.isLiveMode);
+        liveBtn.innerText = this.isLiveMode ? 'Durdur' : 'Başlat';
+
+        const recordBtn = document.getElementById('liveRecordBtn');
+        const openBtn = document.getElementById('liveRecordOpenBtn');
+        if (recordBtn) {
+            const recording = this.liveRecorder.isRecording;
+            recordBtn.disabled = !this.isLiveMode;
+            recordBtn.classList.toggle('recording', recording);
+            recordBtn.innerText = recording ? '⏹ Kaydı Bitir' : '⏺ Kaydet';
+        }
+        if (openBtn) openBtn.disabled = !this.lastRecording;
+    }
+
+    // Connected inputs, keeping the current choice when the device is still there
+    renderMidiInputs() {
+        const select = document.getElementById('midiInputSelect');
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '<option value="">Tüm girişler</option>';
+        this.liveInput.getInputs().forEach(input => {
+            const option = document.createElement('option');
+            option.value = input.id;
+            option.innerText = input.name;
+            select.appendChild(option);
+        });
+        select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+    }
+
+    setupAudioInputListeners() {
+        const inputBtn = document.getElementById('audioInputBtn');
+        const gainRange = document.getElementById('audioInputGain');
+        const gainValue = document.getElementById('audioInputGainValue');
+        if (!inputBtn) return;
+
+        if (!AudioAnalyzer.isInputSupported()) {
+            inputBtn.disabled = true;
+            inputBtn.title = 'Bu tarayıcı ses girişini desteklemiyor';
+            return;
+        }
+        inputBtn.addEventListener('click', () => {
+            if (this.isAudioInputMode) this.stopAudioInput();
+            else this.startAudioInput();
+        });
+        const inputSelect = document.getElementById('audioInputSelect');
+        if (inputSelect) {
+            // A running input follows the new choice
+            inputSelect.addEventListener('change', () => {
+                if (this.isAudioInputMode) this.startAudioInput();
+            });
+        }
+        if (gainRange) {
+            gainRange.addEventListener('input', (e) => {
+                const gain = parseFloat(e.target.value);
+                this.analyzer.setInputGain(gain);
+                if (gainValue) gainValue.innerText = `${gain.toFixed(1)}x`;
+            });
+        }
+        this.analyzer.onInputDevicesChange(() => this.renderAudioInputs());
+        this.renderAudioInputs();
+    }
+
+    async startAudioInput() {
+        const select = document.getElementById('audioInputSelect');
+        try {
+            await this.analyzer.startInput({ deviceId: select?.value || null });
+        } catch (e) {
+            console.error('❌ App: Audio input failed:', e);
+            this.showToast(e.name === 'NotAllowedError' ? 'Mikrofon izni verilmedi' : (e.message || 'Ses girişi açılamadı'));
+            return;
+        }
+
+        // The input replaces the file on screen, like live MIDI
+        this.stopLiveMode();
+        if (this.isPlaying) this.togglePlayback();
+        if (!this.isAudioInputMode && this.elements.trackName) {
+            this.audioInputTrackName = this.elements.trackName.innerText;
+            this.elements.trackName.innerText = 'Canlı Ses Girişi';
+        }
+        this.isAudioInputMode = true;
+        this.updateAudioInputBtnState();
+        this.renderAudioInputs(); // Device names are readable once access was granted
+        this.showToast('Ses girişi dinleniyor');
+    }
+
+    stopAudioInput() {
+        if (!this.isAudioInputMode) return;
+        this.isAudioInputMode = false;
+        this.analyzer.stopInput();
+        if (this.elements.trackName && this.audioInputTrackName !== null) {
+            this.elements.trackName.innerText = this.audioInputTrackName;
+        }
+        this.updateAudioInputBtnState();
+    }
+
+    updateAudioInputBtnState() {
+        const inputBtn = document.getElementById('audioInputBtn');
+        if (!inputBtn) return;
+        inputBtn.classList.toggle('active', this.isAudioInputMode);
+        inputBtn.innerText = this.isAudioInputMode ? 'Durdur' : 'Başlat';
+    }
+
+    async renderAudioInputs() {
+        const select = document.getElementById('audioInputSelect');
+        if (!select) return;
+        const selected = select.value;
+        const devices = await this.analyzer.getInputDevices();
+        select.innerHTML = '<option value="">Varsayılan giriş</option>';
+        devices.filter(device => device.id && device.id !== 'default').forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.innerText = device.name;
+            select.appendChild(option);
+        });
+        select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+    }
+
+    setupSpectrumListeners() {
+        const fftSelect = document.getElementById('fftSizeSelect');
+        if (fftSelect) {
+            fftSelect.value = String(this.analyzer.fftSize);
+            fftSelect.addEventListener('change', (e) => this.analyzer.setFftSize(parseInt(e.target.value)));
+        }
+        const smoothingRange = document.getElementById('smoothingRange');
+        const smoothingValue = document.getElementById('smoothingValue');
+        if (smoothingRange) {
+            smoothingRange.addEventListener('input', (e) => {
+                this.analyzer.setSmoothing(parseFloat(e.target.value));
+                if (smoothingValue) smoothingValue.innerText = this.analyzer.smoothingTimeConstant.toFixed(2);
+            });
+        }
+
+        const minRange = document.getElementById('minDbRange');
+        const maxRange = document.getElementById('maxDbRange');
+        const updateDecibels = () => {
+            try {
+                this.analyzer.setDecibelRange(parseInt(minRange.value), parseInt(maxRange.value));
+            } catch (e) {
+                this.showToast(e.message);
+                minRange.value = this.analyzer.minDecibels;
+                maxRange.value = this.analyzer.maxDecibels;
+            }
+            document.getElementById('minDbValue').innerText = this.analyzer.minDecibels;
+            document.getElementById('maxDbValue').innerText = this.analyzer.maxDecibels;
+        };
+        if (minRange && maxRange) {
+            minRange.addEventListener('input', updateDecibels);
+            maxRange.addEventListener('input', updateDecibels);
+        }
+
+        const stereoToggle = document.getElementById('stereoToggle');
+        if (stereoToggle) {
+            stereoToggle.checked = this.analyzer.stereoEnabled;
+            stereoToggle.addEventListener('change', (e) => this.analyzer.setStereo(e.target.checked));
+        }
+
+        const addBtn = document.getElementById('bandAddBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                const bands = this.analyzer.getBands();
+                let index = bands.length + 1;
+                while (bands.some(band => band.name === `bant ${index}`)) index++;
+                this.applyBands([...bands, { name: `bant ${index}`, minHz: 1000, maxHz: 4000 }]);
+            });
+        }
+        const resetBtn = document.getElementById('bandResetBtn');
+        if (resetBtn) resetBtn.addEventListener('click', () => this.applyBands(DEFAULT_BANDS));
+        this.renderBands();
+    }
+
+    // Invalid lists are refused with a toast and the panel shows the bands still in use
+    applyBands(bands) {
+        try {
+            this.analyzer.setBands(bands);
+        } catch (e) {
+            this.showToast(e.message);
+        }
+        this.renderBands();
+    }
+
+    // One row per band: name (fixed for the core bands), from and to in Hz, remove
+    renderBands() {
+        const container = document.getElementById('bandList');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const bands = this.analyzer.getBands();
+        const readRows = () => [...container.querySelectorAll('.band-row')].map(row => ({
+            name: row.querySelector('.band-name').value,
+            minHz: row.querySelector('.band-min').value,
+            maxHz: row.querySelector('.band-max').value
+        }));
+        bands.forEach((band, index) => {
+            const row = document.createElement('div');
+            row.className = 'band-row';
+            const isCore = CORE_BANDS.includes(band.name);
+
+            const name = document.createElement('input');
+            name.className = 'band-name';
+            name.value = band.name;
+            name.readOnly = isCore;
+            name.title = isCore ? 'Görselleştiricilerin kullandığı temel bant' : 'Bant adı';
+
+            const [min, max] = ['band-min', 'band-max'].map((className, i) => {
+                const input = document.createElement('input');
+                input.className = className;
+                input.type = 'number';
+                input.min = 0;
+                input.step = 10;
+                input.value = i === 0 ? band.minHz : band.maxHz;
+                input.title = i === 0 ? 'Alt frekans (Hz)' : 'Üst frekans (Hz)';
+                return input;
+            });
+            [name, min, max].forEach(input => input.addEventListener('change', () => this.applyBands(readRows())));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'mixer-btn';
+            removeBtn.innerText = '✕';
+            removeBtn.title = 'Kaldır';
+            removeBtn.disabled = isCore;
+            removeBtn.addEventListener('click', () => this.applyBands(bands.filter((_, i) => i !== index)));
+
+            row.append(name, min, max, removeBtn);
+            container.appendChild(row);
+        });
+    }
+
+    setupMidiOutputListeners() {
+        const connectBtn = document.getElementById('midiOutputConnectBtn');
+        const outputSelect = document.getElementById('midiOutputSelect');
+        const replaceToggle = document.getElementById('midiOutputReplaceToggle');
+        if (!connectBtn || !outputSelect) return;
+
+        if (!MidiLiveInput.isSupported()) {
+            connectBtn.disabled = true;
+            connectBtn.title = 'Bu tarayıcı Web MIDI desteklemiyor';
+        }
+        connectBtn.addEventListener('click', () => this.connectMidiOutput());
+        outputSelect.addEventListener('change', (e) => {
+            this.midiPlayer.selectMidiOutput(e.target.value || null);
+            const name = e.target.selectedOptions[0]?.innerText;
+            this.showToast(e.target.value ? `MIDI çıkışı: ${name}` : 'MIDI çıkışı kapalı');
+        });
+        if (replaceToggle) {
+            replaceToggle.addEventListener('change', (e) => this.midiPlayer.setMidiOutputReplacesSynth(e.target.checked));
+        }
+        this.midiPlayer.onMidiOutputsChange(() => this.renderMidiOutputs());
+    }
+
+    async connectMidiOutput() {
+        try {
+            const outputs = await this.midiPlayer.connectMidiOutput();
+            this.renderMidiOutputs();
+            this.showToast(outputs.length > 0 ? `${outputs.length} MIDI çıkışı bulundu` : 'MIDI çıkışı bulunamadı');
+        } catch (e) {
+            console.error('❌ App: MIDI output access failed:', e);
+            this.showToast(e.message || 'MIDI çıkışına erişilemedi');
+        }
+    }
+
+    // Output ports; a port that went away turns the output off
+    renderMidiOutputs() {
+        const select = document.getElementById('midiOutputSelect');
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '<option value="">Kapalı</option>';
+        this.midiPlayer.getMidiOutputs().forEach(output => {
+            const option = document.createElement('option');
+            option.value = output.id;
+            option.innerText = output.name;
+            select.appendChild(option);
+        });
+        select.disabled = false;
+        select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+        if (select.value !== selected) this.midiPlayer.selectMidiOutput(null);
+    }
+
     async handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) this.processFile(file);
+        this.openFiles(event.target.files);
+        event.target.value = ''; // The same files can be added again
+    }
+
+    // Sound banks go to the synth, tracks join the queue; the first one plays unless a song is playing
+    openFiles(fileList) {
+        const files = [...fileList];
+        const banks = files.filter(isSoundBankFile);
+        banks.forEach(file => this.loadSoundBank(file));
+
+        const wasEmpty = !this.playlist.current;
+        const added = this.playlist.add(files.filter(file => !isSoundBankFile(file)));
+        this.renderQueue();
+        if (added.length === 0) {
+            if (banks.length === 0 && files.length > 0) this.showToast('Desteklenmeyen dosya türü');
+            return;
+        }
+        if (wasEmpty || !this.isPlaying) {
+            this.playTrack(added[0].id);
+            if (added.length > 1) this.showToast(`${added.length} parça sıraya eklendi`);
+        } else {
+            this.showToast(added.length > 1 ? `${added.length} parça sıraya eklendi` : `Sıraya eklendi: ${added[0].name}`);
+        }
+    }
+
+    // A file opened from elsewhere (e.g. a live recording) goes to the end of the queue and plays
+    enqueueAndPlay(file) {
+        const [item] = this.playlist.add([file]);
+        if (item) this.playTrack(item.id);
+    }
+
+    // ===== Queue =====
+
+    setupQueueListeners() {
+        const toggle = document.getElementById('queueToggle');
+        const close = document.getElementById('closeQueue');
+        const panel = this.elements.queuePanel;
+        if (toggle && panel) toggle.addEventListener('click', () => panel.classList.toggle('open'));
+        if (close && panel) close.addEventListener('click', () => panel.classList.remove('open'));
+
+        const shuffleBtn = document.getElementById('queueShuffleBtn');
+        if (shuffleBtn) {
+            shuffleBtn.addEventListener('click', () => {
+                this.playlist.setShuffle(!this.playlist.shuffle);
+                this.updateQueueModeButtons();
+                this.showToast(this.playlist.shuffle ? 'Karışık çalma açık' : 'Karışık çalma kapalı');
+            });
+        }
+        const repeatBtn = document.getElementById('queueRepeatBtn');
+        if (repeatBtn) {
+            repeatBtn.addEventListener('click', () => {
+                this.playlist.cycleRepeat();
+                this.updateQueueModeButtons();
+            });
+        }
+        const clearBtn = document.getElementById('queueClearBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.playlist.clear();
+                this.renderQueue();
+            });
+        }
+        const folderInput = document.getElementById('queueFolderInput');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => {
+                // Directory pickers list files in no particular order
+                const files = [...e.target.files].sort((a, b) =>
+                    a.webkitRelativePath.localeCompare(b.webkitRelativePath, undefined, { numeric: true }));
+                this.openFiles(files);
+                e.target.value = '';
+            });
+        }
+
+        this.updateQueueModeButtons();
+        this.renderQueue();
+    }
+
+    async playTrack(id) {
+        const item = this.playlist.select(id);
+        if (!item) return;
+        this.renderQueue();
+        try {
+            await this.processFile(item.file);
+        } catch (e) {
+            // The player already reported it through its error event
+            console.error('❌ App: Track failed:', e);
+        }
+    }
+
+    playNext() {
+        const item = this.playlist.next();
+        if (item) this.playTrack(item.id);
+        else this.showToast('Sırada başka parça yok');
+    }
+
+    // Restarts the track a few seconds in, like most players; goes back a track otherwise
+    playPrevious() {
+        if (this.playlist.current && this.getPlaybackTime() > 3) {
+            this.playTrack(this.playlist.currentId);
+            return;
+        }
+        const item = this.playlist.previous();
+        if (item) this.playTrack(item.id);
+        else this.showToast('Önceki parça yok');
+    }
+
+    // Called once when the playing track reaches its end
+    onTrackEnded() {
+        this.isPlaying = false;
+        this.updatePlayBtnState();
+        const item = this.playlist.next(true);
+        if (item) {
+            this.playTrack(item.id);
+        } else {
+            this.renderQueue();
+            this.showToast('Sıra bitti');
+        }
+    }
+
+    updateQueueModeButtons() {
+        const shuffleBtn = document.getElementById('queueShuffleBtn');
+        const repeatBtn = document.getElementById('queueRepeatBtn');
+        if (shuffleBtn) shuffleBtn.classList.toggle('active', this.playlist.shuffle);
+        if (repeatBtn) {
+            const labels = { [RepeatMode.OFF]: 'Tekrar: Kapalı', [RepeatMode.ALL]: 'Tekrar: Tümü', [RepeatMode.ONE]: 'Tekrar: Tek' };
+            repeatBtn.innerText = `🔁 ${labels[this.playlist.repeat]}`;
+            repeatBtn.classList.toggle('active', this.playlist.repeat !== RepeatMode.OFF);
+        }
+    }
+
+    // Queue in play order; a click on a name plays it
+    renderQueue() {
+        const container = this.elements.queueList;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const items = this.playlist.getItems();
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mixer-empty';
+            empty.innerText = 'Sıra boş, dosya veya klasör bırakın';
+            container.appendChild(empty);
+            return;
+        }
+
+        items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'queue-item';
+            row.classList.toggle('current', item.id === this.playlist.currentId);
+
+            const name = document.createElement('div');
+            name.className = 'mixer-name queue-name';
+            name.innerHTML = `<span>${index + 1}</span>`;
+            name.append(item.name);
+            name.title = `${item.file.name} · ${item.isMidi ? 'MIDI' : 'Ses'}`;
+            name.addEventListener('click', () => this.playTrack(item.id));
+            row.appendChild(name);
+
+            const actions = [
+                { label: '↑', title: 'Yukarı taşı', disabled: index === 0, run: () => this.playlist.move(item.id, -1) },
+                { label: '↓', title: 'Aşağı taşı', disabled: index === items.length - 1, run: () => this.playlist.move(item.id, 1) },
+                { label: '✕', title: 'Sıradan kaldır', disabled: false, run: () => this.playlist.remove(item.id) }
+            ];
+            actions.forEach(({ label, title, disabled, run }) => {
+                const btn = document.createElement('button');
+                btn.className = 'mixer-btn';
+                btn.innerText = label;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener('click', () => {
+                    run();
+                    this.renderQueue();
+                });
+                row.appendChild(btn);
+            });
+            container.appendChild(row);
+        });
     }
 
     async processFile(file) {
         console.log('🚀 App: Processing file:', file.name);
+        this.stopLiveMode();
+        this.stopAudioInput();
         this.showToast('Yükleniyor...');
+        this.clearLoop();
 
         // Track Name
         if (this.elements.trackName) {
@@ -366,37 +1323,198 @@ class AudioVisualizerApp {
         if (this.elements.dropZone) this.elements.dropZone.style.display = 'none';
         if (this.elements.controls) this.elements.controls.style.display = 'flex';
 
-        if (file.name.toLowerCase().endsWith('.mid') || file.name.toLowerCase().endsWith('.midi')) {
+        if (isMidiFile(file)) {
             console.log('🎹 App: MIDI format detected.');
+            if (!this.isMidiMode && this.analyzer.pause) this.analyzer.pause();
             this.isMidiMode = true;
 
             // Use unified MIDI player
             const playerInfo = this.midiPlayer.getPlayerInfo();
             console.log(`🎵 Using ${playerInfo.name} player...`);
 
-            await this.midiPlayer.init();
             const result = await this.midiPlayer.loadMidi(file);
 
             // Store midi data for visualization
             this.midiHandler.midi = result.midi;
+            this.midiHandler.programOverrides = this.midiPlayer.getProgramOverrides(); // Saved instruments, for names
             this.midiHandler.processNotes(); // Process notes for getAnalysis()
+            this.renderMixer();
 
-            if (this.elements.trackTime) {
-                this.elements.trackTime.innerText = `0:00 / ${this.formatTime(result.duration)}`;
-            }
             console.log(`✅ App: ${playerInfo.name} MIDI ready.`);
 
             this.startPlayback();
         } else {
             console.log('🎵 App: Standard audio format detected.');
+            if (this.isMidiMode) this.midiPlayer.stop();
             this.isMidiMode = false;
             await this.analyzer.init();
             await this.analyzer.loadAudio(file);
+            this.renderMixer();
             console.log('✅ App: Audio loading complete.');
             this.startPlayback();
         }
     }
 
+    setupMixerListeners() {
+        if (this.elements.mixerToggle) {
+            this.elements.mixerToggle.addEventListener('click', () => {
+                this.elements.mixerPanel.classList.toggle('open');
+            });
+        }
+
+        if (this.elements.closeMixer) {
+            this.elements.closeMixer.addEventListener('click', () => {
+                this.elements.mixerPanel.classList.remove('open');
+            });
+        }
+
+        const mutedDisplaySelect = document.getElementById('mutedDisplaySelect');
+        if (mutedDisplaySelect) {
+            mutedDisplaySelect.value = this.mutedChannelDisplay;
+            mutedDisplaySelect.addEventListener('change', (e) => {
+                this.mutedChannelDisplay = e.target.value;
+            });
+        }
+
+        const resetBtn = document.getElementById('mixerResetBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.midiPlayer.resetMixer();
+                this.renderMixer();
+                this.showToast('Mikser sıfırlandı');
+            });
+        }
+    }
+
+    // One strip per channel of the loaded MIDI: name, mute, solo, volume, pan, instrument
+    renderMixer() {
+        const container = this.elements.mixerChannels;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const channelIds = this.isMidiMode ? this.midiHandler.getChannelIds() : [];
+        if (channelIds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mixer-empty';
+            empty.innerText = 'MIDI dosyası yüklenmedi';
+            container.appendChild(empty);
+            return;
+        }
+
+        const strips = [];
+        const refresh = () => strips.forEach(({ channel, row, muteBtn, soloBtn }) => {
+            const mix = this.midiPlayer.getChannelMix(channel);
+            muteBtn.classList.toggle('active', mix.mute);
+            soloBtn.classList.toggle('active', mix.solo);
+            row.classList.toggle('silent', !this.midiPlayer.isChannelAudible(channel));
+        });
+
+        channelIds.forEach(channel => {
+            const mix = this.midiPlayer.getChannelMix(channel);
+
+            const row = document.createElement('div');
+            row.className = 'mixer-strip';
+
+            const name = document.createElement('div');
+            name.className = 'mixer-name';
+            name.innerHTML = `<span>${channel + 1}</span>${this.midiHandler.getChannelInstrumentName(channel)}`;
+
+            const muteBtn = document.createElement('button');
+            muteBtn.className = 'mixer-btn mute';
+            muteBtn.innerText = 'M';
+            muteBtn.title = 'Sessiz';
+            muteBtn.addEventListener('click', () => {
+                this.midiPlayer.setChannelMute(channel, !this.midiPlayer.getChannelMix(channel).mute);
+                refresh();
+            });
+
+            const soloBtn = document.createElement('button');
+            soloBtn.className = 'mixer-btn solo';
+            soloBtn.innerText = 'S';
+            soloBtn.title = 'Solo';
+            soloBtn.addEventListener('click', () => {
+                this.midiPlayer.setChannelSolo(channel, !this.midiPlayer.getChannelMix(channel).solo);
+                refresh();
+            });
+
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.min = 0;
+            volume.max = 1;
+            volume.step = 0.05;
+            volume.value = mix.volume;
+            volume.title = 'Ses';
+            volume.addEventListener('input', (e) => this.midiPlayer.setChannelVolume(channel, parseFloat(e.target.value)));
+
+            const pan = document.createElement('input');
+            pan.type = 'range';
+            pan.min = -1;
+            pan.max = 1;
+            pan.step = 0.1;
+            pan.value = mix.pan;
+            pan.title = 'Pan';
+            pan.addEventListener('input', (e) => this.midiPlayer.setChannelPan(channel, parseFloat(e.target.value)));
+            pan.addEventListener('dblclick', () => {
+                pan.value = 0;
+                this.midiPlayer.setChannelPan(channel, 0);
+            });
+
+            const program = this.createProgramSelect(channel, name);
+
+            row.append(name, muteBtn, soloBtn, volume, pan, program);
+            container.appendChild(row);
+            strips.push({ channel, row, muteBtn, soloBtn });
+        });
+
+        refresh();
+    }
+
+    // Instrument picker of a mixer strip: the file's own program or any GM program
+    createProgramSelect(channel, nameEl) {
+        const select = document.createElement('select');
+        select.className = 'setting-select mixer-program';
+        select.title = 'Enstrüman';
+
+        if (channel === DRUM_CHANNEL) {
+            select.innerHTML = '<option>Davul Seti</option>';
+            select.disabled = true;
+            return select;
+        }
+
+        select.innerHTML = '<option value="">Dosyadaki enstrüman</option>' +
+            GM_INSTRUMENTS.map((instrument, program) => `<option value="${program}">${program + 1}. ${instrument}</option>`).join('');
+        select.value = this.midiPlayer.getChannelProgram(channel) ?? '';
+
+        select.addEventListener('change', async (e) => {
+            const program = e.target.value === '' ? null : parseInt(e.target.value, 10);
+            select.disabled = true;
+            try {
+                await this.midiPlayer.setChannelProgram(channel, program);
+                this.midiHandler.programOverrides[channel] = program;
+                nameEl.innerHTML = `<span>${channel + 1}</span>${this.midiHandler.getChannelInstrumentName(channel)}`;
+                this.showToast(`Kanal ${channel + 1}: ${this.midiHandler.getChannelInstrumentName(channel)}`);
+            } catch (error) {
+                console.error('❌ App: Instrument change failed:', error);
+                select.value = this.midiPlayer.getChannelProgram(channel) ?? '';
+                this.showToast('Enstrüman değiştirilemedi');
+            } finally {
+                select.disabled = false;
+            }
+        });
+        return select;
+    }
+
+    /**
+     * Opacity the channel-aware visualizers use for a channel:
+     * 1 when audible, otherwise per the mixer's muted-channel display setting (0 = hidden).
+     */
+    getChannelVisibility(channelId) {
+        if (this.isLiveMode || !this.isMidiMode || this.midiPlayer.isChannelAudible(channelId)) return 1;
+        if (this.mutedChannelDisplay === 'hide') return 0;
+        if (this.mutedChannelDisplay === 'dim') return 0.2;
+        return 1;
+    }
+
     startPlayback() {
         if (this.isMidiMode) {
             this.midiPlayer.play();
@@ -409,6 +1527,8 @@ class AudioVisualizerApp {
     }
 
     togglePlayback() {
+        this.stopLiveMode(); // Play resumes the file
+        this.stopAudioInput();
         if (this.isPlaying) {
             if (this.isMidiMode) {
                 this.midiPlayer.pause();
@@ -476,15 +1596,33 @@ class AudioVisualizerApp {
 
         let currentTime = 0;
         let duration = 0;
-        if (this.isMidiMode) {
+        let analysis;
+        if (this.isLiveMode) {
+            currentTime = this.liveInput.getCurrentTime();
+            analysis = this.liveInput.getAnalysis(currentTime);
+        } else if (this.isAudioInputMode) {
+            currentTime = this.analyzer.currentTime;
+            analysis = this.analyzer.analyze();
+            analysis.isLive = true;
+        } else if (this.isMidiMode) {
             currentTime = this.midiPlayer.getCurrentTime();
             duration = this.midiPlayer.getDuration();
+            analysis = this.midiHandler.getAnalysis(currentTime);
+        } else {
+            currentTime = this.analyzer.currentTime;
+            duration = this.analyzer.duration;
+            analysis = this.analyzer.analyze();
         }
-        const analysis = this.isMidiMode ? this.midiHandler.getAnalysis(currentTime) : this.analyzer.analyze();
         analysis.currentTime = currentTime;
 
-        // Update progress bar and time display
-        if (this.isMidiMode && this.isPlaying && duration > 0) {
+        // Loop wraps, restarts and backward seeks show up as the position jumping back
+        if (currentTime < this.lastSongTime - 0.05) {
+            this.notifyDiscontinuity(currentTime);
+        }
+        this.lastSongTime = currentTime;
+
+        // Update progress bar and time display, paused too so scrubbing shows where it lands
+        if (duration > 0) {
             // Update progress bar
             if (this.elements.progress) {
                 this.elements.progress.value = (currentTime / duration) * 100;
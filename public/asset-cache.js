@@ -0,0 +1,111 @@
+/**
+ * Persistent Asset Cache
+ * SoundFonts, WebAudioFont presets and Tone.js samples kept in Cache Storage,
+ * so repeat launches skip the download and keep working offline.
+ * Entries are keyed by absolute URL inside a versioned cache; raising ASSET_CACHE_VERSION
+ * drops every older cache on the next start. Without Cache Storage (e.g. plain http
+ * on a LAN address) everything falls back to the network.
+ */
+
+export const ASSET_CACHE_VERSION = 1;
+
+const CACHE_PREFIX = 'musicvirt-assets-v';
+const CACHE_NAME = `${CACHE_PREFIX}${ASSET_CACHE_VERSION}`;
+const SIZE_HEADER = 'X-Asset-Size'; // Byte size stored with each entry, so sizing never reads bodies
+
+const isAvailable = typeof caches !== 'undefined';
+
+// Older versions are invalid, remove them once per page load
+const ready = isAvailable
+    ? caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => {
+                console.log(`🧹 AssetCache: Removing outdated ${name}`);
+                return caches.delete(name);
+            })))
+        .catch(e => console.warn('⚠️ AssetCache: Cleanup failed:', e))
+    : Promise.resolve();
+
+function resolveUrl(url) {
+    return new URL(url, window.location.href).href;
+}
+
+async function openCache() {
+    await ready;
+    return caches.open(CACHE_NAME);
+}
+
+/**
+ * Asset bytes from the cache, or from the network (then stored).
+ * A cache that cannot be read or written never stops the asset from loading.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchCachedArrayBuffer(url) {
+    const key = resolveUrl(url);
+
+    if (isAvailable) {
+        try {
+            const cached = await (await openCache()).match(key);
+            if (cached) return await cached.arrayBuffer();
+        } catch (e) {
+            console.warn('⚠️ AssetCache: Read failed:', e);
+        }
+    }
+
+    const response = await fetch(key);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}: ${url}`);
+    }
+    // Dev servers answer unknown paths with index.html, never a valid asset
+    if ((response.headers.get('Content-Type') || '').includes('text/html')) {
+        throw new Error(`Not found (HTML fallback): ${url}`);
+    }
+    const buffer = await response.arrayBuffer();
+
+    if (isAvailable) {
+        try {
+            const headers = new Headers({
+                'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+                [SIZE_HEADER]: String(buffer.byteLength)
+            });
+            await (await openCache()).put(key, new Response(buffer.slice(0), { headers }));
+        } catch (e) {
+            // Usually the storage quota; the asset still works for this session
+            console.warn(`⚠️ AssetCache: Could not store ${url}:`, e);
+        }
+    }
+    return buffer;
+}
+
+export async function fetchCachedText(url) {
+    return new TextDecoder().decode(await fetchCachedArrayBuffer(url));
+}
+
+export async function fetchCachedJson(url) {
+    return JSON.parse(await fetchCachedText(url));
+}
+
+/**
+ * Size of everything in the current cache.
+ * @returns {Promise<{bytes: number, entries: number}>}
+ */
+export async function getAssetCacheSize() {
+    if (!isAvailable) return { bytes: 0, entries: 0 };
+    const cache = await openCache();
+    const requests = await cache.keys();
+    let bytes = 0;
+    for (const request of requests) {
+        const response = await cache.match(request);
+        bytes += Number(response?.headers.get(SIZE_HEADER)) || 0;
+    }
+    return { bytes, entries: requests.length };
+}
+
+export async function clearAssetCache() {
+    if (!isAvailable) return;
+    await ready;
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX)).map(name => caches.delete(name)));
+    console.log('🧹 AssetCache: Cleared');
+}
@@ -0,0 +1,64 @@
+/**
+ * Asset Resolver
+ * The one place that knows where player libraries and instrument data live.
+ * Everything comes from this app's own server: npm packages are bundled, the rest is
+ * a local mirror under ./vendor filled by `node scripts/mirror-assets.mjs`. Nothing is fetched
+ * from a CDN at runtime, so the app keeps working without internet access.
+ * A file that is not there fails with MissingAssetError naming the path.
+ */
+
+import { fetchCachedArrayBuffer, fetchCachedText, fetchCachedJson } from './asset-cache.js';
+
+const VENDOR = './vendor';
+
+export const AssetPaths = {
+    SOUNDFONT: './soundfonts/FluidR3_GM.sf2',
+    SAMPLES: './samples',
+    WEBAUDIOFONT_PLAYER: `${VENDOR}/webaudiofont/WebAudioFontPlayer.js`,
+    WEBAUDIOFONT_DATA: `${VENDOR}/webaudiofontdata/sound`,
+    TONE_14: `${VENDOR}/tone@14.7.58/Tone.js`,            // Magenta 1.x needs the Tone 14 global
+    MAGENTA_CORE: `${VENDOR}/magenta-music@1.23.1/core.js`,
+    MAGENTA_SOUNDFONTS: `${VENDOR}/magenta-soundfonts`
+};
+
+export class MissingAssetError extends Error {
+    constructor(url, cause) {
+        super(`Yerel dosya eksik: ${url}. Yerel kopyalar için "node scripts/mirror-assets.mjs" çalıştırın.`);
+        this.name = 'MissingAssetError';
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+// Path below one of the AssetPaths roots
+export function resolveAsset(root, ...parts) {
+    return [root, ...parts].join('/');
+}
+
+async function load(url, fetcher) {
+    try {
+        return await fetcher(url);
+    } catch (e) {
+        console.error(`❌ Asset missing: ${url}`, e);
+        throw new MissingAssetError(url, e);
+    }
+}
+
+export function loadAssetBuffer(url) {
+    return load(url, fetchCachedArrayBuffer);
+}
+
+export function loadAssetText(url) {
+    return load(url, fetchCachedText);
+}
+
+export function loadAssetJson(url) {
+    return load(url, fetchCachedJson);
+}
+
+// Classic script run inline, so its globals exist as soon as this resolves
+export async function loadAssetScript(url) {
+    const script = document.createElement('script');
+    script.text = await loadAssetText(url);
+    document.head.appendChild(script);
+}
@@ -1,9 +1,36 @@
+import { TypedEventEmitter, PlaybackEvent } from './playback-events.js';
+import { BeatTracker } from './beat-tracker.js';
+import { preAnalyzeFile } from './audio-pre-analysis.js';
+
+export const FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+// Bands behind the bass/mid/high fields every visualizer reads; their ranges can change, they cannot be removed
+export const CORE_BANDS = ['bass', 'mid', 'high'];
+
+// About what the first bin ranges (0-10, 10-100, 100-512) covered with a 2048 FFT at 48 kHz
+export const DEFAULT_BANDS = [
+    { name: 'bass', minHz: 20, maxHz: 250 },
+    { name: 'mid', minHz: 250, maxHz: 2500 },
+    { name: 'high', minHz: 2500, maxHz: 12000 }
+];
+
 /**
  * Audio Analyzer Module
- * Web Audio API based real-time audio analysis
+ * Web Audio API based real-time audio analysis.
+ * Emits the playback events of playback-events.js, taken from the media element's own events.
+ * Besides files it takes a live input (microphone, line-in, loopback) through startInput():
+ * the stream feeds the analyser through its own gain and is never sent to the speakers.
+ * Beats, onsets and tempo come from BeatTracker; tempoChange is emitted as the detected BPM changes.
+ * Loaded files are also analysed as a whole in the background (audio-pre-analysis.js); once
+ * "analyzed" is emitted, getBeatTimes(), getEnergyAt(), getNextSection() etc. answer for any song time.
+ * Frequency bands are given in Hz and turned into FFT bins for the context's sample rate and the
+ * current FFT size, so they cover the same frequencies at 44.1 and 48 kHz and at every FFT size.
+ * With setStereo(true) the signal is also split into left and right analysers: the analysis then
+ * carries per-channel spectra and waveforms plus balance, width and phase correlation (see analyzeStereo).
  */
-export class AudioAnalyzer {
+export class AudioAnalyzer extends TypedEventEmitter {
     constructor(fftSize = 2048) {
+        super();
         this.fftSize = fftSize;
         this.audioContext = null;
         this.analyser = null;
@@ -12,18 +39,37 @@ export class AudioAnalyzer {
         this.connectedElements = new WeakSet();
         this.frequencyData = null;
         this.timeData = null;
-        this.bassRange = { start: 0, end: 10 };
-        this.midRange = { start: 10, end: 100 };
-        this.highRange = { start: 100, end: 512 };
-        this.energyHistory = [];
-        this.historySize = 43;
+        this.smoothingTimeConstant = 0.85;
+        this.minDecibels = -90;
+        this.maxDecibels = -10;
+        this.bands = DEFAULT_BANDS.map(band => ({ ...band })); // { name, minHz, maxHz }
+        this.bandBins = [];        // { name, start, end } bin ranges of the bands, set with the buffers
+        this.smoothedBands = {};   // name -> smoothed level 0-255
+        this.stereoEnabled = false;
+        this.stereoInput = null;   // Mixes any source to exactly two channels for the splitter
+        this.channelSplitter = null;
+        this.channelAnalysers = null; // [left, right] while stereo analysis is on
+        this.channelFrequencyData = [];
+        this.channelTimeData = [];    // Float samples -1..1, paired for vectorscopes
+        this.smoothedBalance = 0;
+        this.smoothedWidth = 0;
+        this.smoothedCorrelation = 1;
         this.sensitivity = 1.5;
-        this.lastBeatTime = 0;
-        this.beatCooldown = 100;
-        this.smoothedBass = 0;
-        this.smoothedMid = 0;
-        this.smoothedHigh = 0;
+        this.beatTracker = new BeatTracker();
+        this.beatTracker.setSensitivity(this.sensitivity);
+        this.reportedBpm = 0;      // Rounded tempo last emitted with tempoChange
+        this.preAnalysis = null;   // AudioPreAnalysis of the loaded file, null until ready
+        this.preAnalysisFile = null; // File being analysed, a result for an older one is dropped
         this.smoothingFactor = 0.3;
+        this.loop = null;       // A-B loop region { start, end } in seconds
+        this.loopTimer = null;
+        this.elementEvents = null; // AbortController of the current element's listeners
+        this.inputStream = null;   // Live input MediaStream while startInput() is active
+        this.inputSource = null;
+        this.inputGain = null;
+        this.inputGainValue = 1;
+        this.ownsInputStream = false; // Opened here with getUserMedia, so stopped here too
+        this.inputStartTime = 0;   // audioContext.currentTime the live input started at
     }
 
     async init() {
@@ -38,26 +84,29 @@ export class AudioAnalyzer {
         }
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         console.log('📊 Analyzer: New AudioContext created. State:', this.audioContext.state);
-        this.analyser = this.audioContext.createAnalyser();
-        this.analyser.fftSize = this.fftSize;
-        this.analyser.smoothingTimeConstant = 0.85;
-        this.analyser.minDecibels = -90;
-        this.analyser.maxDecibels = -10;
+        this.analyser = this.createConfiguredAnalyser();
         this.gainNode = this.audioContext.createGain();
         this.gainNode.gain.value = 1.0;
         this.analyser.connect(this.gainNode);
         this.gainNode.connect(this.audioContext.destination);
-        const bufferLength = this.analyser.frequencyBinCount;
-        this.frequencyData = new Uint8Array(bufferLength);
-        this.timeData = new Uint8Array(bufferLength);
-        console.log('Audio Analyzer initialized');
+        this.allocateBuffers();
+        if (this.stereoEnabled) this.connectStereo();
+        console.log(`Audio Analyzer initialized (${this.audioContext.sampleRate} Hz, FFT ${this.fftSize})`);
     }
 
     async loadAudio(file) {
         console.log('📂 Analyzer: Loading audio file:', file.name);
         if (!this.audioContext) await this.init();
+        this.stopInput();
+        this.clearLoop();
+        // The previous track must not play on, nor report its pause as the new one's
+        if (this.elementEvents) this.elementEvents.abort();
+        if (this.connectedAudio) this.connectedAudio.pause();
+        this.resetBeatTracking();
+        this.startPreAnalysis(file);
         const url = URL.createObjectURL(file);
         const audio = new Audio();
+        this.bindElementEvents(audio, file);
         audio.src = url;
         audio.crossOrigin = "anonymous";
         this.connectedAudio = audio; // Track for play/pause
@@ -86,6 +135,106 @@ export class AudioAnalyzer {
         }
     }
 
+    // The file position, or seconds since the live input started
+    getCurrentTime() {
+        if (this.inputStream) return this.audioContext.currentTime - this.inputStartTime;
+        return this.connectedAudio ? this.connectedAudio.currentTime : 0;
+    }
+
+    // 0 until the file's metadata is loaded (and for streams without a known length)
+    getDuration() {
+        const duration = this.connectedAudio ? this.connectedAudio.duration : 0;
+        return Number.isFinite(duration) ? duration : 0;
+    }
+
+    get currentTime() {
+        return this.getCurrentTime();
+    }
+
+    get duration() {
+        return this.getDuration();
+    }
+
+    // True once the file played to its end; a seek or play() clears it
+    get ended() {
+        return this.connectedAudio ? this.connectedAudio.ended : false;
+    }
+
+    // Jump to a time in seconds; playing or paused stays as it was
+    seek(time) {
+        const audio = this.connectedAudio;
+        if (!audio) return;
+        const duration = this.getDuration();
+        audio.currentTime = Math.max(0, duration > 0 ? Math.min(time, duration) : time);
+    }
+
+    /**
+     * Repeat the region between start and end (seconds) until cleared.
+     * A media element has no loop points, so a short timer jumps back once the end is reached.
+     * @returns {{start: number, end: number}|null} the region set, null if shorter than 0.1s
+     */
+    setLoop(start, end) {
+        const from = Math.max(0, Math.min(start, end));
+        const to = Math.max(start, end);
+        if (to - from < 0.1) return null;
+
+        this.loop = { start: from, end: to };
+        if (!this.loopTimer) {
+            this.loopTimer = setInterval(() => this.checkLoop(), 10);
+        }
+        this.checkLoop();
+        return this.getLoop();
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.loopTimer) {
+            clearInterval(this.loopTimer);
+            this.loopTimer = null;
+        }
+    }
+
+    getLoop() {
+        return this.loop ? { ...this.loop } : null;
+    }
+
+    checkLoop() {
+        const audio = this.connectedAudio;
+        if (!this.loop || !audio) return;
+        // A loop reaching the file end lets the element finish, so it is restarted from there
+        if (audio.ended) {
+            audio.currentTime = this.loop.start;
+            audio.play();
+        } else if (!audio.paused && audio.currentTime >= this.loop.end) {
+            audio.currentTime = this.loop.start;
+        }
+    }
+
+    bindElementEvents(audio, file) {
+        this.elementEvents = new AbortController();
+        const options = { signal: this.elementEvents.signal };
+        audio.addEventListener('loadedmetadata', () => {
+            this.emit(PlaybackEvent.LOADED, { file, duration: this.getDuration() });
+        }, options);
+        audio.addEventListener('play', () => this.emit(PlaybackEvent.PLAY, { time: audio.currentTime }), options);
+        audio.addEventListener('pause', () => {
+            // The element pauses itself at the end, that is reported as ended
+            if (!audio.ended) this.emit(PlaybackEvent.PAUSE, { time: audio.currentTime });
+        }, options);
+        audio.addEventListener('seeked', () => {
+            this.beatTracker.resetClock(); // The beat positions before the jump no longer apply
+            this.emit(PlaybackEvent.SEEK, { time: audio.currentTime });
+        }, options);
+        audio.addEventListener('ended', () => {
+            if (!this.loop) this.emit(PlaybackEvent.ENDED); // A loop to the file end restarts instead
+        }, options);
+        audio.addEventListener('error', () => {
+            const error = new Error(`Ses dosyası açılamadı: ${file.name}`);
+            console.error('❌ Analyzer:', error.message, audio.error);
+            this.emit(PlaybackEvent.ERROR, { error });
+        }, options);
+    }
+
     connectAudioElement(audioElement) {
         if (!this.audioContext) return false;
         if (this.connectedElements.has(audioElement)) return true;
@@ -104,6 +253,87 @@ export class AudioAnalyzer {
         }
     }
 
+    get isInputActive() {
+        return this.inputStream !== null;
+    }
+
+    static isInputSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    /**
+     * Audio inputs; names stay empty until the user allowed access once.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async getInputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({ id: device.deviceId, name: device.label || `Giriş ${index + 1}` }));
+    }
+
+    onInputDevicesChange(callback) {
+        navigator.mediaDevices?.addEventListener('devicechange', callback);
+    }
+
+    /**
+     * Analyses a live stream instead of the file, which is paused.
+     * @param {Object} [options]
+     * @param {string} [options.deviceId] - input to open with getUserMedia, default device if omitted
+     * @param {MediaStream} [options.stream] - a stream to use as is, e.g. from createMediaStreamDestination()
+     */
+    async startInput({ deviceId = null, stream = null } = {}) {
+        await this.init();
+        this.stopInput();
+
+        if (!stream) {
+            if (!AudioAnalyzer.isInputSupported()) throw new Error('Bu tarayıcı ses girişini desteklemiyor');
+            // Voice processing would flatten the music the visualizers should see
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+            this.ownsInputStream = true;
+        }
+
+        if (this.connectedAudio) this.connectedAudio.pause();
+        // Only the file path goes on to the speakers, a live input would feed back
+        this.analyser.disconnect(this.gainNode);
+        this.inputSource = this.audioContext.createMediaStreamSource(stream);
+        this.inputGain = this.audioContext.createGain();
+        this.inputGain.gain.value = this.inputGainValue;
+        this.inputSource.connect(this.inputGain);
+        this.inputGain.connect(this.analyser);
+        this.inputStream = stream;
+        this.inputStartTime = this.audioContext.currentTime;
+        this.resetBeatTracking();
+        console.log(`🎤 Analyzer: Live input started (${stream.getAudioTracks()[0]?.label || 'stream'})`);
+    }
+
+    stopInput() {
+        if (!this.inputStream) return;
+        this.inputSource.disconnect();
+        this.inputGain.disconnect();
+        if (this.ownsInputStream) this.inputStream.getTracks().forEach(track => track.stop());
+        this.inputStream = null;
+        this.inputSource = null;
+        this.inputGain = null;
+        this.ownsInputStream = false;
+        this.analyser.connect(this.gainNode);
+        console.log('🎤 Analyzer: Live input stopped');
+    }
+
+    // Input level before analysis, 1 = unchanged
+    setInputGain(value) {
+        this.inputGainValue = Math.max(0, value);
+        if (this.inputGain) this.inputGain.gain.value = this.inputGainValue;
+    }
+
     async resume() {
         if (this.audioContext && this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
@@ -116,6 +346,198 @@ export class AudioAnalyzer {
 
     setSensitivity(value) {
         this.sensitivity = Math.max(0.5, Math.min(3, value));
+        this.beatTracker.setSensitivity(this.sensitivity);
+    }
+
+    setFftSize(size) {
+        if (!FFT_SIZES.includes(size)) throw new Error(`Geçersiz FFT boyutu: ${size}`);
+        this.fftSize = size;
+        if (!this.analyser) return;
+        this.allAnalysers().forEach(node => { node.fftSize = size; });
+        this.allocateBuffers();
+    }
+
+    // 0 = raw frames, towards 1 = slower, smoother spectrum
+    setSmoothing(value) {
+        this.smoothingTimeConstant = Math.max(0, Math.min(0.99, value));
+        this.allAnalysers().forEach(node => { node.smoothingTimeConstant = this.smoothingTimeConstant; });
+    }
+
+    // Levels mapped to 0 and 255 in the byte spectrum
+    setDecibelRange(min, max) {
+        if (!(min < max)) throw new Error('En düşük dB, en yüksek dB değerinden küçük olmalı');
+        this.minDecibels = min;
+        this.maxDecibels = max;
+        this.allAnalysers().forEach(node => this.applyDecibels(node));
+    }
+
+    // The node rejects a minimum at or above its current maximum, so the order matters
+    applyDecibels(node) {
+        if (this.minDecibels >= node.maxDecibels) {
+            node.maxDecibels = this.maxDecibels;
+            node.minDecibels = this.minDecibels;
+        } else {
+            node.minDecibels = this.minDecibels;
+            node.maxDecibels = this.maxDecibels;
+        }
+    }
+
+    createConfiguredAnalyser() {
+        const node = this.audioContext.createAnalyser();
+        node.fftSize = this.fftSize;
+        node.smoothingTimeConstant = this.smoothingTimeConstant;
+        this.applyDecibels(node);
+        return node;
+    }
+
+    // The main analyser and, with stereo on, the channel ones
+    allAnalysers() {
+        if (!this.analyser) return [];
+        return [this.analyser, ...(this.channelAnalysers || [])];
+    }
+
+    // Left/right analysis next to the mixed one; costs two more FFTs per frame, so it is off by default
+    setStereo(enabled) {
+        this.stereoEnabled = enabled;
+        if (!this.analyser) return;
+        if (enabled) this.connectStereo();
+        else this.disconnectStereo();
+    }
+
+    // Taps the main analyser's output, which every source (file or live input) passes through
+    connectStereo() {
+        if (this.channelAnalysers) return;
+        // Speaker mixing to two channels copies mono to both sides and folds surround into left/right
+        this.stereoInput = this.audioContext.createGain();
+        this.stereoInput.channelCount = 2;
+        this.stereoInput.channelCountMode = 'explicit';
+        this.stereoInput.channelInterpretation = 'speakers';
+        this.channelSplitter = this.audioContext.createChannelSplitter(2);
+        this.channelAnalysers = [this.createConfiguredAnalyser(), this.createConfiguredAnalyser()];
+        this.analyser.connect(this.stereoInput);
+        this.stereoInput.connect(this.channelSplitter);
+        this.channelAnalysers.forEach((node, channel) => this.channelSplitter.connect(node, channel));
+        this.allocateChannelBuffers();
+        console.log('🎧 Analyzer: Stereo analysis on');
+    }
+
+    disconnectStereo() {
+        if (!this.channelAnalysers) return;
+        this.analyser.disconnect(this.stereoInput);
+        this.stereoInput.disconnect();
+        this.channelSplitter.disconnect();
+        this.stereoInput = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = null;
+        this.channelFrequencyData = [];
+        this.channelTimeData = [];
+        console.log('🎧 Analyzer: Stereo analysis off');
+    }
+
+    getBands() {
+        return this.bands.map(band => ({ ...band }));
+    }
+
+    /**
+     * Replaces the band list. Names must be unique and the core bands present.
+     * @param {Array<{name: string, minHz: number, maxHz: number}>} bands
+     */
+    setBands(bands) {
+        const cleaned = bands.map(({ name, minHz, maxHz }) => ({ name: String(name).trim(), minHz: Number(minHz), maxHz: Number(maxHz) }));
+        cleaned.forEach(({ name, minHz, maxHz }) => {
+            if (!name) throw new Error('Bant adı boş olamaz');
+            if (!(minHz >= 0 && minHz < maxHz)) throw new Error(`${name}: alt frekans üst frekanstan küçük olmalı`);
+        });
+        const names = cleaned.map(band => band.name);
+        if (new Set(names).size !== names.length) throw new Error('Bant adları benzersiz olmalı');
+        const missing = CORE_BANDS.filter(name => !names.includes(name));
+        if (missing.length > 0) throw new Error(`${missing.join(', ')} bandı silinemez`);
+
+        this.bands = cleaned;
+        Object.keys(this.smoothedBands).forEach(name => {
+            if (!names.includes(name)) delete this.smoothedBands[name];
+        });
+        this.updateBandBins();
+    }
+
+    // Spectrum buffers and band bins for the current FFT size
+    allocateBuffers() {
+        const bufferLength = this.analyser.frequencyBinCount;
+        this.frequencyData = new Uint8Array(bufferLength);
+        this.timeData = new Uint8Array(bufferLength);
+        this.allocateChannelBuffers();
+        this.updateBandBins();
+    }
+
+    allocateChannelBuffers() {
+        if (!this.channelAnalysers) return;
+        this.channelFrequencyData = this.channelAnalysers.map(node => new Uint8Array(node.frequencyBinCount));
+        this.channelTimeData = this.channelAnalysers.map(node => new Float32Array(node.fftSize));
+    }
+
+    // Bin i holds the frequencies around i * sampleRate / fftSize; a band keeps at least one bin
+    updateBandBins() {
+        if (!this.audioContext || !this.frequencyData) return;
+        const binHz = this.audioContext.sampleRate / this.fftSize;
+        const binCount = this.frequencyData.length;
+        this.bandBins = this.bands.map(({ name, minHz, maxHz }) => {
+            const start = Math.min(binCount - 1, Math.ceil(minHz / binHz));
+            const end = Math.min(binCount, Math.max(start + 1, Math.ceil(maxHz / binHz)));
+            return { name, start, end };
+        });
+    }
+
+    resetBeatTracking() {
+        this.beatTracker.reset();
+        this.reportedBpm = 0;
+    }
+
+    // Runs in the background; playback never waits for it and works the same without it
+    startPreAnalysis(file) {
+        this.preAnalysis = null;
+        this.preAnalysisFile = file;
+        this.emit(PlaybackEvent.ANALYZED, { analysis: null }); // Listeners drop the previous file's
+        preAnalyzeFile(file)
+            .then(analysis => {
+                if (this.preAnalysisFile !== file) return;
+                this.preAnalysis = analysis;
+                this.emit(PlaybackEvent.ANALYZED, { analysis });
+            })
+            .catch(e => console.warn('⚠️ Analyzer: Pre-analysis failed:', e));
+    }
+
+    getPreAnalysis() {
+        return this.preAnalysis;
+    }
+
+    // Loudness 0-1 at a song time, 0 before the pre-analysis is ready
+    getEnergyAt(time) {
+        return this.preAnalysis ? this.preAnalysis.getEnergyAt(time) : 0;
+    }
+
+    getEnvelope(start, end, points = 100) {
+        return this.preAnalysis ? this.preAnalysis.getEnvelope(start, end, points) : new Array(points).fill(0);
+    }
+
+    getOnsets(start, end) {
+        return this.preAnalysis ? this.preAnalysis.getOnsets(start, end) : [];
+    }
+
+    // { time, isDownbeat } between two song times, like MidiTransport.getBeatTimes
+    getBeatTimes(start, end) {
+        return this.preAnalysis ? this.preAnalysis.getBeatTimes(start, end) : [];
+    }
+
+    getNextBeat(time) {
+        return this.preAnalysis ? this.preAnalysis.getNextBeat(time) : null;
+    }
+
+    getSectionAt(time) {
+        return this.preAnalysis ? this.preAnalysis.getSectionAt(time) : null;
+    }
+
+    getNextSection(time) {
+        return this.preAnalysis ? this.preAnalysis.getNextSection(time) : null;
     }
 
     analyze() {
@@ -123,37 +545,102 @@ export class AudioAnalyzer {
         this.analyser.getByteFrequencyData(this.frequencyData);
         this.analyser.getByteTimeDomainData(this.timeData);
 
-        const bass = this.getBandEnergy(this.bassRange);
-        const mid = this.getBandEnergy(this.midRange);
-        const high = this.getBandEnergy(this.highRange);
-
-        this.smoothedBass = this.lerp(this.smoothedBass, bass, this.smoothingFactor);
-        this.smoothedMid = this.lerp(this.smoothedMid, mid, this.smoothingFactor);
-        this.smoothedHigh = this.lerp(this.smoothedHigh, high, this.smoothingFactor);
+        const levels = {};
+        const bands = {};
+        this.bandBins.forEach(range => {
+            levels[range.name] = this.getBandEnergy(range);
+            this.smoothedBands[range.name] = this.lerp(this.smoothedBands[range.name] || 0, levels[range.name], this.smoothingFactor);
+            bands[range.name] = this.smoothedBands[range.name] / 255;
+        });
+        const { bass, mid, high } = levels;
+        const smoothedBass = this.smoothedBands.bass;
+        const smoothedMid = this.smoothedBands.mid;
+        const smoothedHigh = this.smoothedBands.high;
 
         const totalEnergy = (bass * 2 + mid + high * 0.5) / 3.5;
-        const isBeat = this.detectBeat(totalEnergy);
+        const rhythm = this.trackBeats();
         const bars = this.getFrequencyBars(64);
         const waveform = this.getWaveform();
 
         return {
             frequencyData: this.frequencyData,
             timeData: this.timeData,
-            bass: this.smoothedBass,
-            mid: this.smoothedMid,
-            high: this.smoothedHigh,
+            bass: smoothedBass,
+            mid: smoothedMid,
+            high: smoothedHigh,
+            bands,
             totalEnergy,
-            isBeat,
-            bassNorm: this.smoothedBass / 255,
-            midNorm: this.smoothedMid / 255,
-            highNorm: this.smoothedHigh / 255,
+            isBeat: rhythm.isBeat,
+            isDownbeat: rhythm.isDownbeat,
+            isOnset: rhythm.isOnset,
+            onsetStrength: rhythm.onsetStrength,
+            bpm: rhythm.bpm,
+            beatPhase: rhythm.beatPhase,
+            bassNorm: smoothedBass / 255,
+            midNorm: smoothedMid / 255,
+            highNorm: smoothedHigh / 255,
             spectralCentroid: this.calculateSpectralCentroid(),
             bars,
             waveform,
+            stereo: this.channelAnalysers ? this.analyzeStereo() : null,
             isMidi: false
         };
     }
 
+    /**
+     * Left and right of this frame.
+     * balance: -1 (left only) .. 1 (right only); width: 0 (mono) .. 1 (only the difference of the sides);
+     * correlation: 1 (in phase, mono) .. 0 (unrelated) .. -1 (out of phase, cancels in mono).
+     * The three are smoothed like the bands, the per-channel data is raw.
+     */
+    analyzeStereo() {
+        const channels = this.channelAnalysers.map((node, i) => {
+            node.getByteFrequencyData(this.channelFrequencyData[i]);
+            node.getFloatTimeDomainData(this.channelTimeData[i]);
+            return {
+                frequencyData: this.channelFrequencyData[i],
+                timeData: this.channelTimeData[i],
+                waveform: this.getChannelWaveform(this.channelTimeData[i]),
+                level: 0
+            };
+        });
+
+        const [left, right] = this.channelTimeData;
+        let leftPower = 0, rightPower = 0, product = 0, midPower = 0, sidePower = 0;
+        for (let i = 0; i < left.length; i++) {
+            leftPower += left[i] * left[i];
+            rightPower += right[i] * right[i];
+            product += left[i] * right[i];
+            const mid = (left[i] + right[i]) / 2;
+            const side = (left[i] - right[i]) / 2;
+            midPower += mid * mid;
+            sidePower += side * side;
+        }
+        const leftLevel = Math.sqrt(leftPower / left.length);
+        const rightLevel = Math.sqrt(rightPower / right.length);
+        channels[0].level = leftLevel;
+        channels[1].level = rightLevel;
+
+        // Silence reads as centred, mono and in phase
+        const loudness = leftLevel + rightLevel;
+        const balance = loudness > 0 ? (rightLevel - leftLevel) / loudness : 0;
+        const spread = Math.sqrt(midPower) + Math.sqrt(sidePower);
+        const width = spread > 0 ? Math.sqrt(sidePower) / spread : 0;
+        const correlation = leftPower > 0 && rightPower > 0 ? product / Math.sqrt(leftPower * rightPower) : 1;
+
+        this.smoothedBalance = this.lerp(this.smoothedBalance, balance, this.smoothingFactor);
+        this.smoothedWidth = this.lerp(this.smoothedWidth, width, this.smoothingFactor);
+        this.smoothedCorrelation = this.lerp(this.smoothedCorrelation, correlation, this.smoothingFactor);
+        return {
+            left: channels[0],
+            right: channels[1],
+            balance: this.smoothedBalance,
+            width: this.smoothedWidth,
+            correlation: this.smoothedCorrelation
+        };
+    }
+
+    // Mean byte level (0-255) over a { start, end } bin range
     getBandEnergy(range) {
         if (!this.frequencyData) return 0;
         let sum = 0;
@@ -163,22 +650,24 @@ export class AudioAnalyzer {
         return end > start ? sum / (end - start) : 0;
     }
 
-    detectBeat(energy) {
-        this.energyHistory.push(energy);
-        if (this.energyHistory.length > this.historySize) this.energyHistory.shift();
-        if (this.energyHistory.length < 5) return false;
-        const avgEnergy = this.energyHistory.reduce((a, b) => a + b) / this.energyHistory.length;
-        const now = performance.now();
-        if (avgEnergy > 0) {
-            const ratio = energy / avgEnergy;
-            if (ratio > this.sensitivity && (now - this.lastBeatTime) > this.beatCooldown) {
-                this.lastBeatTime = now;
-                return true;
-            }
+    // Rhythm of this frame; a paused file keeps its tempo but has no beats
+    trackBeats() {
+        const isRunning = this.inputStream || (this.connectedAudio && !this.connectedAudio.paused);
+        if (!isRunning) {
+            return { isBeat: false, isDownbeat: false, isOnset: false, onsetStrength: 0, bpm: this.beatTracker.bpm, beatPhase: 0 };
+        }
+        // The context clock, the element's currentTime only advances in coarse steps in some browsers
+        const rhythm = this.beatTracker.update(this.frequencyData, this.audioContext.currentTime);
+        // A whole BPM of change, so an estimate hovering at x.5 does not flood listeners
+        const bpm = Math.round(rhythm.bpm);
+        if (bpm > 0 && Math.abs(rhythm.bpm - this.reportedBpm) >= 1) {
+            this.reportedBpm = bpm;
+            this.emit(PlaybackEvent.TEMPO_CHANGE, { bpm, time: this.getCurrentTime() });
         }
-        return false;
+        return rhythm;
     }
 
+    // In Hz, so it means the same at every FFT size and sample rate
     calculateSpectralCentroid() {
         if (!this.frequencyData) return 0;
         let weightedSum = 0, sum = 0;
@@ -186,7 +675,7 @@ export class AudioAnalyzer {
             weightedSum += i * this.frequencyData[i];
             sum += this.frequencyData[i];
         }
-        return sum > 0 ? weightedSum / sum : 0;
+        return sum > 0 ? (weightedSum / sum) * this.audioContext.sampleRate / this.fftSize : 0;
     }
 
     getFrequencyBars(numBars = 64) {
@@ -216,6 +705,14 @@ export class AudioAnalyzer {
         return waveform;
     }
 
+    // 256 points of a float channel, like getWaveform()
+    getChannelWaveform(data) {
+        const waveform = new Array(256);
+        const step = data.length / 256;
+        for (let i = 0; i < 256; i++) waveform[i] = data[Math.floor(i * step)];
+        return waveform;
+    }
+
     lerp(a, b, t) { return a + (b - a) * t; }
 
     getEmptyAnalysis() {
@@ -223,8 +720,11 @@ export class AudioAnalyzer {
             frequencyData: new Uint8Array(this.fftSize / 2),
             timeData: new Uint8Array(this.fftSize / 2),
             bass: 0, mid: 0, high: 0, totalEnergy: 0, isBeat: false,
+            bands: Object.fromEntries(this.bands.map(band => [band.name, 0])),
+            isDownbeat: false, isOnset: false, onsetStrength: 0, bpm: 0, beatPhase: 0,
             bassNorm: 0, midNorm: 0, highNorm: 0, spectralCentroid: 0,
-            bars: new Array(64).fill(0), waveform: new Array(256).fill(0)
+            bars: new Array(64).fill(0), waveform: new Array(256).fill(0),
+            stereo: null
         };
     }
 }
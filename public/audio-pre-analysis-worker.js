@@ -0,0 +1,366 @@
+/**
+ * Audio Pre-Analysis Worker
+ * The whole-file pass behind AudioPreAnalysis, off the main thread.
+ * In: { samples: Float32Array (mono), sampleRate }. Out: { result } or { error }.
+ * Frames of FFT_SIZE every 1/FRAME_RATE s give the loudness envelope, band energies and spectral flux.
+ * Onsets: flux peaks above the median of the surrounding second.
+ * Tempo: autocorrelation of the beat strength (below) in the live tracker's octave.
+ * Beats: dynamic programming (Ellis 2007) over the flux plus the bass flux, as kick drums mark the
+ * beat more often than hi-hats; the grid follows small tempo drift.
+ * Downbeat: the beat of the bar with the most low end and onset weight.
+ * Sections: bar boundaries where loudness and band balance change the most (novelty peaks).
+ */
+
+import { MIN_BPM, MAX_BPM, BEATS_PER_BAR } from './beat-tracker.js';
+
+const FFT_SIZE = 1024;
+const FRAME_RATE = 100;              // Frames per second of every curve
+const LOW_CUTOFF = 200;              // Hz, bass band below
+const HIGH_CUTOFF = 2000;            // Hz, highs above
+const THRESHOLD_FRAMES = 50;         // Half width of the onset threshold window
+const ONSET_THRESHOLD = 1.5;         // Times the local median
+const MIN_ONSET_FRAMES = 10;         // 0.1 s between onsets
+const BEAT_TIGHTNESS = 100;          // How strongly the beat grid keeps its tempo
+const NOVELTY_BARS = 4;              // Bars compared on each side of a section boundary
+const MIN_SECTION_BARS = 4;
+const FALLBACK_BLOCK = 2;            // Seconds per block when the file has no beat
+
+self.onmessage = (event) => {
+    try {
+        const { samples, sampleRate } = event.data;
+        self.postMessage({ result: analyze(samples, sampleRate) });
+    } catch (error) {
+        self.postMessage({ error: error.message || String(error) });
+    }
+};
+
+function analyze(samples, sampleRate) {
+    const frames = computeFrames(samples, sampleRate);
+    const onsets = detectOnsets(frames.flux);
+    const strength = beatStrength(frames);
+    const lag = estimateBeatLag(strength);
+    const beatFrames = lag ? trackBeats(strength, lag) : [];
+    const downbeatOffset = findDownbeatOffset(beatFrames, frames);
+    const beats = beatFrames.map((frame, i) => ({
+        time: frame / FRAME_RATE,
+        isDownbeat: (i - downbeatOffset) % BEATS_PER_BAR === 0
+    }));
+    const duration = samples.length / sampleRate;
+
+    return {
+        duration,
+        frameRate: FRAME_RATE,
+        envelope: Array.from(normalize(frames.rms)),
+        onsets,
+        bpm: lag ? 60 * FRAME_RATE / lag : 0,
+        beats,
+        sections: findSections(frames, beats, duration)
+    };
+}
+
+function computeFrames(samples, sampleRate) {
+    const hop = sampleRate / FRAME_RATE;
+    const count = Math.max(1, Math.floor(samples.length / hop));
+    const bins = FFT_SIZE / 2;
+    const lowBin = Math.round(LOW_CUTOFF / sampleRate * FFT_SIZE);
+    const highBin = Math.round(HIGH_CUTOFF / sampleRate * FFT_SIZE);
+    const window = new Float32Array(FFT_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+    const fft = createFft(FFT_SIZE);
+    const re = new Float32Array(FFT_SIZE);
+    const im = new Float32Array(FFT_SIZE);
+    let previous = new Float32Array(bins);
+    let current = new Float32Array(bins);
+
+    const rms = new Float32Array(count);
+    const flux = new Float32Array(count);
+    const lowFlux = new Float32Array(count);
+    const low = new Float32Array(count);
+    const mid = new Float32Array(count);
+    const high = new Float32Array(count);
+
+    for (let f = 0; f < count; f++) {
+        // The frame is centred on its time
+        const start = Math.round(f * hop) - FFT_SIZE / 2;
+        let sum = 0;
+        for (let i = 0; i < FFT_SIZE; i++) {
+            const sample = samples[start + i] || 0;
+            re[i] = sample * window[i];
+            im[i] = 0;
+            sum += sample * sample;
+        }
+        rms[f] = Math.sqrt(sum / FFT_SIZE);
+        fft(re, im);
+
+        let rise = 0;
+        let lowRise = 0;
+        for (let bin = 0; bin < bins; bin++) {
+            const power = re[bin] * re[bin] + im[bin] * im[bin];
+            // Log compression, like the analyser's dB scale: quiet parts count too
+            current[bin] = Math.log1p(100 * Math.sqrt(power));
+            const diff = current[bin] - previous[bin];
+            if (diff > 0) {
+                rise += diff;
+                if (bin < lowBin) lowRise += diff;
+            }
+            if (bin < lowBin) low[f] += power;
+            else if (bin < highBin) mid[f] += power;
+            else high[f] += power;
+        }
+        flux[f] = f > 0 ? rise / bins : 0;
+        lowFlux[f] = f > 0 ? lowRise / Math.max(1, lowBin) : 0;
+        [previous, current] = [current, previous];
+    }
+    return { rms, flux, lowFlux, low, mid, high };
+}
+
+// In-place iterative radix-2 FFT of the given size
+function createFft(size) {
+    const levels = Math.log2(size);
+    const reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+        let reversed = 0;
+        for (let bit = 0; bit < levels; bit++) reversed |= ((i >> bit) & 1) << (levels - 1 - bit);
+        reverse[i] = reversed;
+    }
+    const cos = new Float32Array(size / 2).map((_, i) => Math.cos(2 * Math.PI * i / size));
+    const sin = new Float32Array(size / 2).map((_, i) => -Math.sin(2 * Math.PI * i / size));
+
+    return (re, im) => {
+        for (let i = 0; i < size; i++) {
+            const j = reverse[i];
+            if (j > i) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let length = 2; length <= size; length *= 2) {
+            const half = length / 2;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const tre = re[b] * cos[k * step] - im[b] * sin[k * step];
+                    const tim = re[b] * sin[k * step] + im[b] * cos[k * step];
+                    re[b] = re[a] - tre;
+                    im[b] = im[a] - tim;
+                    re[a] += tre;
+                    im[a] += tim;
+                }
+            }
+        }
+    };
+}
+
+// Flux peaks above the local median, strengths relative to the strongest
+function detectOnsets(flux) {
+    const peak = max(flux) || 1;
+    const floor = mean(flux) * 0.1;
+    const onsets = [];
+    let last = -Infinity;
+    for (let f = 1; f < flux.length - 1; f++) {
+        if (flux[f] < flux[f - 1] || flux[f] < flux[f + 1]) continue;
+        const from = Math.max(0, f - THRESHOLD_FRAMES);
+        const to = Math.min(flux.length, f + THRESHOLD_FRAMES + 1);
+        if (flux[f] <= median(flux.subarray(from, to)) * ONSET_THRESHOLD + floor) continue;
+        if (f - last < MIN_ONSET_FRAMES) continue;
+        onsets.push({ time: f / FRAME_RATE, strength: flux[f] / peak });
+        last = f;
+    }
+    return onsets;
+}
+
+/**
+ * Beat period in frames (fractional), or 0 without a clear pulse.
+ * Each lag also scores half the match at twice its length: a real beat period keeps repeating,
+ * a chance match between unrelated hits does not.
+ */
+function estimateBeatLag(signal) {
+    const minLag = Math.floor(60 * FRAME_RATE / MAX_BPM);
+    const maxLag = Math.ceil(60 * FRAME_RATE / MIN_BPM);
+    const autocorrelation = (lag) => {
+        if (lag >= signal.length) return 0;
+        let sum = 0;
+        for (let i = lag; i < signal.length; i++) sum += signal[i] * signal[i - lag];
+        return sum / (signal.length - lag);
+    };
+    const scores = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        scores.push(autocorrelation(lag) + 0.5 * autocorrelation(lag * 2));
+    }
+
+    let best = 1;
+    for (let i = 2; i < scores.length - 1; i++) {
+        if (scores[i] > scores[best]) best = i;
+    }
+    if (scores[best] <= 0) return 0;
+    // Parabolic interpolation for a fractional lag, a long grid drifts on whole frames
+    const [left, center, right] = [scores[best - 1], scores[best], scores[best + 1]];
+    const curvature = left - 2 * center + right;
+    const shift = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+    return minLag - 1 + best + shift;
+}
+
+// Full-band and bass flux at equal weight, each above its 1 s average
+function beatStrength(frames) {
+    const full = highPass(frames.flux).map(value => Math.max(0, value));
+    const bass = highPass(frames.lowFlux).map(value => Math.max(0, value));
+    const fullScale = mean(full) || 1;
+    const bassScale = mean(bass) || 1;
+    return full.map((value, f) => value / fullScale + bass[f] / bassScale);
+}
+
+// Best chain of beats: each frame scores its strength plus the best earlier beat about one period back
+function trackBeats(strength, period) {
+    const scale = mean(strength) || 1;
+    const score = new Float32Array(strength.length);
+    const previous = new Int32Array(strength.length).fill(-1);
+    const from = Math.round(period / 2);
+    const to = Math.round(period * 2);
+
+    for (let f = 0; f < strength.length; f++) {
+        let best = 0;
+        for (let back = from; back <= to && back <= f; back++) {
+            const deviation = Math.log(back / period);
+            const candidate = score[f - back] - BEAT_TIGHTNESS * deviation * deviation;
+            if (candidate > best) {
+                best = candidate;
+                previous[f] = f - back;
+            }
+        }
+        // Without a worthwhile predecessor the frame starts a new chain
+        score[f] = strength[f] / scale + best;
+    }
+
+    // Start from the best-scoring frame of the last period and walk back
+    let f = strength.length - 1;
+    for (let i = Math.max(0, strength.length - Math.round(period)); i < strength.length; i++) {
+        if (score[i] > score[f]) f = i;
+    }
+    const beats = [];
+    while (f >= 0) {
+        beats.push(f);
+        f = previous[f];
+    }
+    return beats.reverse();
+}
+
+// Index (0..3) of the first downbeat in the beat list
+function findDownbeatOffset(beatFrames, frames) {
+    const lowPeak = max(frames.low) || 1;
+    const fluxPeak = max(frames.flux) || 1;
+    const weights = new Array(BEATS_PER_BAR).fill(0);
+    beatFrames.forEach((frame, i) => {
+        weights[i % BEATS_PER_BAR] += frames.low[frame] / lowPeak + frames.flux[frame] / fluxPeak;
+    });
+    return weights.indexOf(Math.max(...weights));
+}
+
+/**
+ * Sections between the bar (or, without beats, block) boundaries where the music changes most.
+ * @returns {Array<{start: number, end: number, energy: number}>} energy is the mean envelope, 0-1
+ */
+function findSections(frames, beats, duration) {
+    const downbeats = beats.filter(beat => beat.isDownbeat).map(beat => beat.time);
+    const starts = downbeats.length >= NOVELTY_BARS * 2
+        ? downbeats
+        : Array.from({ length: Math.ceil(duration / FALLBACK_BLOCK) }, (_, i) => i * FALLBACK_BLOCK);
+    const blocks = starts.map((start, i) => ({ start, end: starts[i + 1] ?? duration }));
+    if (blocks.length === 0) return [{ start: 0, end: duration, energy: 0 }];
+
+    const envelope = normalize(frames.rms);
+    const features = blocks.map(({ start, end }) => blockFeatures(frames, envelope, start, end));
+    standardize(features);
+
+    // Novelty: how much the blocks after a boundary differ from the blocks before it
+    const novelty = blocks.map((_, b) => {
+        if (b < 1 || b >= blocks.length - 1) return 0;
+        const before = average(features.slice(Math.max(0, b - NOVELTY_BARS), b));
+        const after = average(features.slice(b, b + NOVELTY_BARS));
+        return Math.hypot(...before.map((value, i) => value - after[i]));
+    });
+    const cutoff = mean(novelty) + standardDeviation(novelty) * 0.5;
+
+    const boundaries = [0];
+    novelty.forEach((value, b) => {
+        if (value <= cutoff || b - boundaries[boundaries.length - 1] < MIN_SECTION_BARS) return;
+        const neighbours = novelty.slice(Math.max(0, b - 2), b + 3);
+        if (value === Math.max(...neighbours)) boundaries.push(b);
+    });
+
+    return boundaries.map((b, i) => {
+        const start = i === 0 ? 0 : blocks[b].start;
+        const end = i + 1 < boundaries.length ? blocks[boundaries[i + 1]].start : duration;
+        return { start, end, energy: mean(envelope.subarray(toFrame(start), Math.max(toFrame(start) + 1, toFrame(end)))) };
+    });
+}
+
+// Loudness, band balance and onset density of a block
+function blockFeatures(frames, envelope, start, end) {
+    const from = toFrame(start);
+    const to = Math.max(from + 1, toFrame(end));
+    const low = mean(frames.low.subarray(from, to));
+    const mid = mean(frames.mid.subarray(from, to));
+    const high = mean(frames.high.subarray(from, to));
+    const total = low + mid + high || 1;
+    return [mean(envelope.subarray(from, to)), low / total, mid / total, high / total, mean(frames.flux.subarray(from, to))];
+}
+
+function toFrame(time) {
+    return Math.round(time * FRAME_RATE);
+}
+
+// Flux minus its 1 s moving average, leaves the pulses and drops the loudness trend
+function highPass(values) {
+    const result = new Float32Array(values.length);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= FRAME_RATE) sum -= values[i - FRAME_RATE];
+        result[i] = values[i] - sum / Math.min(i + 1, FRAME_RATE);
+    }
+    return result;
+}
+
+function normalize(values) {
+    const peak = max(values);
+    return peak > 0 ? values.map(value => value / peak) : values;
+}
+
+// Math.max(...values) overflows the call stack on long files
+function max(values) {
+    let peak = -Infinity;
+    for (const value of values) peak = Math.max(peak, value);
+    return peak;
+}
+
+// Every feature column to zero mean and unit variance, so none dominates the distance
+function standardize(rows) {
+    rows[0].forEach((_, column) => {
+        const values = rows.map(row => row[column]);
+        const center = mean(values);
+        const spread = standardDeviation(values) || 1;
+        rows.forEach(row => { row[column] = (row[column] - center) / spread; });
+    });
+}
+
+function average(rows) {
+    return rows[0].map((_, column) => mean(rows.map(row => row[column])));
+}
+
+function mean(values) {
+    if (values.length === 0) return 0;
+    let sum = 0;
+    for (const value of values) sum += value;
+    return sum / values.length;
+}
+
+function median(values) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.floor(sorted.length / 2)] || 0;
+}
+
+function standardDeviation(values) {
+    const center = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - center) ** 2)));
+}
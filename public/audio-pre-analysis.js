@@ -0,0 +1,203 @@
+/**
+ * Audio Pre-Analysis
+ * One pass over a whole audio file, so visualizers can look ahead the way they do with MIDI notes:
+ * loudness envelope, onsets, beat grid (with downbeats) and sections.
+ * The file is decoded on an OfflineAudioContext at ANALYSIS_SAMPLE_RATE and mixed to mono, the
+ * analysis itself runs in audio-pre-analysis-worker.js. Results are kept per SHA-256 of the file
+ * bytes, in memory and in Cache Storage, so a file is analysed once however it is renamed.
+ * Raising PRE_ANALYSIS_VERSION drops the stored results of older versions on the next start.
+ */
+
+export const PRE_ANALYSIS_VERSION = 1;
+
+const ANALYSIS_SAMPLE_RATE = 22050; // Plenty for rhythm and loudness, half the work of 44.1 kHz
+const CACHE_PREFIX = 'musicvirt-analysis-v';
+const CACHE_NAME = `${CACHE_PREFIX}${PRE_ANALYSIS_VERSION}`;
+
+const isCacheAvailable = typeof caches !== 'undefined';
+const memoryCache = new Map(); // hash -> AudioPreAnalysis
+
+const ready = isCacheAvailable
+    ? caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name))))
+        .catch(e => console.warn('⚠️ PreAnalysis: Cleanup failed:', e))
+    : Promise.resolve();
+
+/**
+ * The analysis of a file, from the cache or computed now.
+ * @param {File|Blob} file
+ * @returns {Promise<AudioPreAnalysis>}
+ */
+export async function preAnalyzeFile(file) {
+    const bytes = await file.arrayBuffer();
+    const hash = await hashBytes(bytes, file);
+    if (memoryCache.has(hash)) return memoryCache.get(hash);
+
+    let data = await readCached(hash);
+    if (data) {
+        console.log(`📈 PreAnalysis: ${file.name || 'file'} from cache`);
+    } else {
+        const started = performance.now();
+        data = await runWorker(await decodeMono(bytes));
+        console.log(`📈 PreAnalysis: ${file.name || 'file'} analysed in ${Math.round(performance.now() - started)} ms (${data.bpm.toFixed(1)} BPM, ${data.sections.length} sections)`);
+        await writeCached(hash, data);
+    }
+    const analysis = new AudioPreAnalysis(data);
+    memoryCache.set(hash, analysis);
+    return analysis;
+}
+
+// Hex SHA-256; crypto.subtle only exists on secure origins, elsewhere name, size and date stand in
+async function hashBytes(bytes, file) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        return `file-${encodeURIComponent(file.name || '')}-${bytes.byteLength}-${file.lastModified || 0}`;
+    }
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function decodeMono(bytes) {
+    // decodeAudioData detaches the buffer it is given, the caller's copy stays usable
+    const context = new OfflineAudioContext(1, 1, ANALYSIS_SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(bytes.slice(0));
+    const samples = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+    }
+    return { samples, sampleRate: buffer.sampleRate };
+}
+
+function runWorker({ samples, sampleRate }) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./audio-pre-analysis-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            worker.terminate();
+            if (event.data.error) reject(new Error(event.data.error));
+            else resolve(event.data.result);
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Analiz çalışanı başarısız oldu'));
+        };
+        worker.postMessage({ samples, sampleRate }, [samples.buffer]);
+    });
+}
+
+function cacheKey(hash) {
+    return new URL(`/__pre-analysis__/${hash}.json`, window.location.href).href;
+}
+
+// A cache that cannot be read or written only costs a new analysis
+async function readCached(hash) {
+    if (!isCacheAvailable) return null;
+    try {
+        await ready;
+        const response = await (await caches.open(CACHE_NAME)).match(cacheKey(hash));
+        return response ? await response.json() : null;
+    } catch (e) {
+        console.warn('⚠️ PreAnalysis: Cache read failed:', e);
+        return null;
+    }
+}
+
+async function writeCached(hash, data) {
+    if (!isCacheAvailable) return;
+    try {
+        await ready;
+        const response = new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } });
+        await (await caches.open(CACHE_NAME)).put(cacheKey(hash), response);
+    } catch (e) {
+        console.warn('⚠️ PreAnalysis: Could not store the analysis:', e);
+    }
+}
+
+export async function clearPreAnalysisCache() {
+    memoryCache.clear();
+    if (!isCacheAvailable) return;
+    await ready;
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX)).map(name => caches.delete(name)));
+    console.log('🧹 PreAnalysis: Cleared');
+}
+
+/**
+ * The result of a pass, queried by song time in seconds.
+ * Lists are sorted by time, so range queries are binary searches.
+ */
+export class AudioPreAnalysis {
+    constructor(data) {
+        this.duration = data.duration;
+        this.frameRate = data.frameRate;
+        this.envelope = Float32Array.from(data.envelope);   // Loudness 0-1, frameRate values per second
+        this.onsets = data.onsets;                          // { time, strength (0-1) }
+        this.bpm = data.bpm;                                // 0 for files without a beat
+        this.beats = data.beats;                            // { time, isDownbeat }
+        this.sections = data.sections;                      // { start, end, energy (mean envelope) }
+    }
+
+    // Loudness at a time, 0-1
+    getEnergyAt(time) {
+        const position = time * this.frameRate;
+        const index = Math.floor(position);
+        if (index < 0 || index >= this.envelope.length) return 0;
+        const next = this.envelope[Math.min(index + 1, this.envelope.length - 1)];
+        return this.envelope[index] + (next - this.envelope[index]) * (position - index);
+    }
+
+    /**
+     * The envelope between two times as `points` values, each the peak of its slice,
+     * so short hits still show when zoomed out.
+     * @returns {number[]}
+     */
+    getEnvelope(start, end, points = 100) {
+        const values = [];
+        const step = (end - start) / points;
+        for (let i = 0; i < points; i++) {
+            const from = Math.max(0, Math.floor((start + i * step) * this.frameRate));
+            const to = Math.min(this.envelope.length, Math.max(from + 1, Math.floor((start + (i + 1) * step) * this.frameRate)));
+            let peak = 0;
+            for (let f = from; f < to; f++) peak = Math.max(peak, this.envelope[f]);
+            values.push(peak);
+        }
+        return values;
+    }
+
+    // Onsets with start <= time < end
+    getOnsets(start, end) {
+        return this.onsets.slice(lowerBound(this.onsets, start), lowerBound(this.onsets, end));
+    }
+
+    // Beats with start <= time < end, shaped like MidiTransport.getBeatTimes
+    getBeatTimes(start, end) {
+        return this.beats.slice(lowerBound(this.beats, start), lowerBound(this.beats, end));
+    }
+
+    // The first beat at or after a time, null past the last one
+    getNextBeat(time) {
+        return this.beats[lowerBound(this.beats, time)] || null;
+    }
+
+    getSectionAt(time) {
+        return this.sections.find(section => time >= section.start && time < section.end) || null;
+    }
+
+    // The section that starts after a time, e.g. to see a drop coming
+    getNextSection(time) {
+        return this.sections.find(section => section.start > time) || null;
+    }
+}
+
+// Index of the first entry whose time is >= time
+function lowerBound(list, time) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (list[middle].time < time) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
@@ -0,0 +1,242 @@
+/**
+ * Beat Tracker
+ * Onsets and tempo from the analyser's spectrum, one frame at a time.
+ * Onsets: spectral flux (the summed rise of every frequency bin since the last frame) above an
+ * adaptive threshold, the median flux of the last second times the sensitivity.
+ * Tempo: intervals between recent onsets, folded into one octave (80-160 BPM) and collected
+ * in a decaying histogram whose peak is the BPM.
+ * Beats: a beat clock at that tempo, nudged toward onsets that land near a predicted beat, and
+ * moved outright when most onset weight keeps landing elsewhere in the beat (it locked onto off-beats).
+ * The beat of the bar that collects the strongest onsets is taken as the downbeat (4/4 assumed).
+ */
+
+export const MIN_BPM = 80;                // Tempo octave onsets are folded into, so 70 and 140 read the same
+export const MAX_BPM = 160;
+const THRESHOLD_WINDOW = 1.0;      // Seconds of flux the adaptive threshold looks at
+const MIN_FLUX = 0.004;            // Threshold floor, keeps silence and hiss from triggering
+const MIN_ONSET_INTERVAL = 0.1;    // Seconds, one onset per hit
+const INTERVAL_WINDOW = 4.0;       // Seconds of past onsets paired with a new one
+const HISTOGRAM_MEMORY = 8.0;      // Seconds for old intervals to fade to 1/e
+const MIN_CONFIDENCE = 0.5;        // Histogram weight needed before a tempo is reported
+const PHASE_TOLERANCE = 0.2;       // Onsets within this part of a beat count as on the beat
+const PHASE_GAIN = 0.25;           // How far the beat clock moves toward such an onset
+const SILENCE_TIMEOUT = 3.0;       // Seconds without onsets after which beats stop
+const PHASE_BINS = 16;             // Resolution of where in the beat the onsets land
+const PHASE_DECAY = 0.9;           // Per beat
+const RELOCK_RATIO = 1.5;          // Off-beat weight over on-beat weight that moves the clock
+export const BEATS_PER_BAR = 4;
+const ACCENT_DECAY = 0.8;          // Per bar, lets the downbeat guess follow the music
+
+export class BeatTracker {
+    constructor() {
+        this.sensitivity = 1.5;
+        this.reset();
+    }
+
+    // Forgets everything, for a new file or input
+    reset() {
+        this.previousSpectrum = null;
+        this.fluxHistory = [];      // { time, flux } within THRESHOLD_WINDOW
+        this.lastFlux = 0;
+        this.onsets = [];           // { time, strength } within INTERVAL_WINDOW
+        this.histogram = new Float32Array(MAX_BPM - MIN_BPM);
+        this.bpm = 0;
+        this.lastTime = null;
+        this.resetClock();
+    }
+
+    // Keeps the tempo but drops the beat positions, e.g. after a seek
+    resetClock() {
+        this.lastBeat = null;
+        this.nextBeat = null;
+        this.beatIndex = 0;
+        this.phases = new Float32Array(PHASE_BINS);
+        this.accents = new Array(BEATS_PER_BAR).fill(0);
+        this.lastOnsetTime = -Infinity;
+    }
+
+    setSensitivity(value) {
+        this.sensitivity = value;
+    }
+
+    /**
+     * @param {Uint8Array} spectrum - byte frequency data of this frame
+     * @param {number} time - seconds; a jump back or a long jump forward restarts the beat clock
+     * @returns {{isOnset: boolean, onsetStrength: number, isBeat: boolean, isDownbeat: boolean, bpm: number, beatPhase: number}}
+     *   bpm is 0 until a tempo is found; isBeat then falls back to the onsets
+     */
+    update(spectrum, time) {
+        if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > 1)) this.resetClock();
+        const dt = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        const flux = this._flux(spectrum);
+        const threshold = this._threshold(flux, time);
+        const excess = Math.max(0, flux - threshold) / threshold; // Unbounded, so accents stay comparable
+        const onsetStrength = Math.min(1, excess);
+        const isOnset = flux > threshold && flux > this.lastFlux && time - this.lastOnsetTime >= MIN_ONSET_INTERVAL;
+        this.lastFlux = flux;
+
+        this._decayHistogram(dt);
+        if (isOnset) {
+            this._addOnset(time, excess);
+            this.lastOnsetTime = time;
+        }
+        this.bpm = this._tempo();
+
+        const beat = this._advanceClock(time, isOnset ? excess : 0);
+        return {
+            isOnset,
+            onsetStrength,
+            isBeat: this.bpm > 0 ? beat.isBeat : isOnset,
+            isDownbeat: beat.isDownbeat,
+            bpm: this.bpm,
+            beatPhase: beat.phase
+        };
+    }
+
+    // Mean rise of the bins since the last frame, 0-1
+    _flux(spectrum) {
+        let rise = 0;
+        if (this.previousSpectrum && this.previousSpectrum.length === spectrum.length) {
+            for (let i = 0; i < spectrum.length; i++) {
+                const diff = spectrum[i] - this.previousSpectrum[i];
+                if (diff > 0) rise += diff;
+            }
+        } else {
+            this.previousSpectrum = new Uint8Array(spectrum.length);
+        }
+        this.previousSpectrum.set(spectrum);
+        return rise / (spectrum.length * 255);
+    }
+
+    _threshold(flux, time) {
+        this.fluxHistory.push({ time, flux });
+        while (this.fluxHistory.length > 0 && time - this.fluxHistory[0].time > THRESHOLD_WINDOW) this.fluxHistory.shift();
+        const sorted = this.fluxHistory.map(entry => entry.flux).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        return Math.max(MIN_FLUX, median * this.sensitivity);
+    }
+
+    _decayHistogram(dt) {
+        if (dt <= 0) return;
+        const factor = Math.exp(-dt / HISTOGRAM_MEMORY);
+        for (let i = 0; i < this.histogram.length; i++) this.histogram[i] *= factor;
+    }
+
+    // Pairs the onset with the recent ones; every interval votes for its tempo
+    _addOnset(time, strength) {
+        this.onsets = this.onsets.filter(onset => time - onset.time <= INTERVAL_WINDOW);
+        this.onsets.forEach(onset => {
+            let bpm = 60 / (time - onset.time);
+            while (bpm < MIN_BPM) bpm *= 2;
+            while (bpm >= MAX_BPM) bpm /= 2;
+            const weight = (strength + 0.1) * (onset.strength + 0.1);
+            // Spread over the neighbouring bins, timing jitter blurs the interval a little
+            const center = bpm - MIN_BPM;
+            for (let offset = -2; offset <= 2; offset++) {
+                const bin = Math.round(center) + offset;
+                if (bin < 0 || bin >= this.histogram.length) continue;
+                this.histogram[bin] += weight * Math.exp(-((bin - center) ** 2) / 2);
+            }
+        });
+        this.onsets.push({ time, strength });
+    }
+
+    _tempo() {
+        let peak = 0;
+        for (let i = 1; i < this.histogram.length; i++) {
+            if (this.histogram[i] > this.histogram[peak]) peak = i;
+        }
+        if (this.histogram[peak] < MIN_CONFIDENCE) return 0;
+
+        // Parabolic interpolation between the neighbouring bins
+        const left = this.histogram[peak - 1] ?? this.histogram[peak];
+        const right = this.histogram[peak + 1] ?? this.histogram[peak];
+        const curvature = left - 2 * this.histogram[peak] + right;
+        const shift = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+        return MIN_BPM + peak + shift;
+    }
+
+    _advanceClock(time, onsetStrength) {
+        const none = { isBeat: false, isDownbeat: false, phase: 0 };
+        if (this.bpm <= 0 || time - this.lastOnsetTime > SILENCE_TIMEOUT) {
+            this.lastBeat = null;
+            this.nextBeat = null;
+            return none;
+        }
+        const period = 60 / this.bpm;
+
+        if (this.nextBeat === null) {
+            // The clock starts on an onset
+            if (onsetStrength <= 0) return none;
+            this.lastBeat = time;
+            this.nextBeat = time + period;
+            this.beatIndex = 0;
+            this.phases.fill(0);
+            return { isBeat: true, isDownbeat: this._isDownbeat(0), phase: 0 };
+        }
+        this.nextBeat = this.lastBeat + period; // Follows tempo updates
+
+        if (onsetStrength > 0) this._alignToOnset(time, onsetStrength, period);
+
+        let isBeat = false;
+        while (time >= this.nextBeat) {
+            this.lastBeat = this.nextBeat;
+            this.nextBeat += period;
+            this.beatIndex++;
+            this.phases = this.phases.map(weight => weight * PHASE_DECAY);
+            // All beats of the bar fade together, so the latest one has no edge
+            if (this.beatIndex % BEATS_PER_BAR === 0) this.accents = this.accents.map(accent => accent * ACCENT_DECAY);
+            isBeat = true;
+        }
+        return {
+            isBeat,
+            isDownbeat: isBeat && this._isDownbeat(this.beatIndex),
+            phase: Math.min(0.999, Math.max(0, (time - this.lastBeat) / period))
+        };
+    }
+
+    // An onset close to a predicted beat pulls the clock toward it and accents that beat
+    _alignToOnset(time, strength, period) {
+        if (this._relock(time, strength, period)) return;
+        const toLast = time - this.lastBeat;
+        const toNext = time - this.nextBeat;
+        const error = Math.abs(toLast) < Math.abs(toNext) ? toLast : toNext;
+        if (Math.abs(error) > PHASE_TOLERANCE * period) return;
+
+        this.lastBeat += error * PHASE_GAIN;
+        this.nextBeat = this.lastBeat + period;
+        const index = error === toLast ? this.beatIndex : this.beatIndex + 1;
+        this.accents[index % BEATS_PER_BAR] += strength;
+    }
+
+    // Moves the clock onto the part of the beat where the onsets keep landing, if that is not the beat
+    _relock(time, strength, period) {
+        const phase = ((time - this.lastBeat) / period) % 1;
+        this.phases[Math.round(phase * PHASE_BINS) % PHASE_BINS] += strength;
+
+        let strongest = 0;
+        for (let i = 1; i < PHASE_BINS; i++) {
+            if (this.phases[i] > this.phases[strongest]) strongest = i;
+        }
+        const distance = Math.min(strongest, PHASE_BINS - strongest);
+        if (distance <= 1 || this.phases[strongest] < this.phases[0] * RELOCK_RATIO) return false;
+
+        // Shift by the shorter way round, the beat count and bar position start over
+        const shift = strongest > PHASE_BINS / 2 ? strongest - PHASE_BINS : strongest;
+        this.lastBeat += (shift / PHASE_BINS) * period;
+        this.nextBeat = this.lastBeat + period;
+        this.phases = this.phases.map((_, i) => this.phases[(i + strongest) % PHASE_BINS]);
+        this.accents.fill(0);
+        return true;
+    }
+
+    _isDownbeat(index) {
+        let strongest = 0;
+        for (let i = 1; i < BEATS_PER_BAR; i++) {
+            if (this.accents[i] > this.accents[strongest]) strongest = i;
+        }
+        return index % BEATS_PER_BAR === strongest;
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * FLAC Encoder
+ * Minimal lossless encoder for rendered audio: 16-bit, fixed-size blocks,
+ * per-channel choice of constant / fixed-predictor / verbatim subframes with Rice-coded residuals.
+ * No MD5 signature is written (allowed by the format, decoders skip the check).
+ */
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_FIXED_ORDER = 4;
+
+// Frame header sample rate codes the format can carry without STREAMINFO
+const SAMPLE_RATE_CODES = { 88200: 0b0110, 176400: 0b0111, 192000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011 };
+
+const CRC8_TABLE = buildCrcTable(0x07, 8);
+const CRC16_TABLE = buildCrcTable(0x8005, 16);
+
+function buildCrcTable(poly, bits) {
+    const top = 1 << (bits - 1);
+    const mask = (1 << bits) - 1;
+    const table = new Uint16Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << (bits - 8);
+        for (let j = 0; j < 8; j++) {
+            crc = crc & top ? (crc << 1) ^ poly : crc << 1;
+        }
+        table[i] = crc & mask;
+    }
+    return table;
+}
+
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;    // Whole bytes written
+        this.acc = 0;       // Pending bits, most significant first
+        this.accBits = 0;
+    }
+
+    _ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    // Up to 24 bits at a time keeps the accumulator inside 32-bit integer math
+    write(value, bits) {
+        while (bits > 24) {
+            bits -= 24;
+            this.write(Math.floor(value / 2 ** bits) & 0xFFFFFF, 24);
+        }
+        this._ensure(4);
+        this.acc = (this.acc << bits) | (value & ((1 << bits) - 1));
+        this.accBits += bits;
+        while (this.accBits >= 8) {
+            this.accBits -= 8;
+            this.bytes[this.length++] = (this.acc >>> this.accBits) & 0xFF;
+        }
+        this.acc &= (1 << this.accBits) - 1;
+    }
+
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + 2 ** bits : value, bits);
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 24) {
+            this.write(0, 24);
+            zeros -= 24;
+        }
+        this.write(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.accBits > 0) this.write(0, 8 - this.accBits);
+    }
+}
+
+/**
+ * Encodes PCM channels (-1..1 floats, all the same length) into a FLAC file.
+ * @param {Float32Array[]} channels - 1 to 8 channels
+ * @param {number} sampleRate
+ * @returns {Blob} audio/flac
+ */
+export function encodeFlac(channels, sampleRate) {
+    const totalSamples = channels[0].length;
+    const pcm = channels.map(toInt16);
+    const out = new BitWriter(totalSamples * channels.length + 1024);
+
+    out.write(0x664C6143, 32); // "fLaC"
+    writeStreamInfo(out, channels.length, sampleRate, totalSamples);
+
+    const blockCount = Math.ceil(totalSamples / BLOCK_SIZE);
+    for (let frame = 0; frame < blockCount; frame++) {
+        const start = frame * BLOCK_SIZE;
+        const size = Math.min(BLOCK_SIZE, totalSamples - start);
+        writeFrame(out, pcm.map(samples => samples.subarray(start, start + size)), frame, sampleRate);
+    }
+
+    return new Blob([out.bytes.subarray(0, out.length)], { type: 'audio/flac' });
+}
+
+function toInt16(samples) {
+    const ints = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        ints[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32767)));
+    }
+    return ints;
+}
+
+function writeStreamInfo(out, channelCount, sampleRate, totalSamples) {
+    out.write(1, 1);        // Last metadata block
+    out.write(0, 7);        // STREAMINFO
+    out.write(34, 24);
+    out.write(BLOCK_SIZE, 16);
+    out.write(BLOCK_SIZE, 16);
+    out.write(0, 24);       // Min/max frame size unknown
+    out.write(0, 24);
+    out.write(sampleRate, 20);
+    out.write(channelCount - 1, 3);
+    out.write(BITS_PER_SAMPLE - 1, 5);
+    out.write(totalSamples, 36);
+    for (let i = 0; i < 4; i++) out.write(0, 32); // MD5 not computed
+}
+
+function writeFrame(out, blocks, frameNumber, sampleRate) {
+    const frameStart = out.length;
+    const size = blocks[0].length;
+
+    out.write(0b11111111111110, 14); // Sync code
+    out.write(0, 1);
+    out.write(0, 1);                 // Fixed block size stream
+    out.write(0b0111, 4);            // Block size - 1 follows as 16 bits
+    out.write(SAMPLE_RATE_CODES[sampleRate] ?? 0, 4);
+    out.write(blocks.length - 1, 4); // Independent channels
+    out.write(0b100, 3);             // 16 bits per sample
+    out.write(0, 1);
+    writeUtf8Number(out, frameNumber);
+    out.write(size - 1, 16);
+    out.write(crc(CRC8_TABLE, 8, out.bytes, frameStart, out.length), 8);
+
+    blocks.forEach(samples => writeSubframe(out, samples));
+
+    out.alignToByte();
+    out.write(crc(CRC16_TABLE, 16, out.bytes, frameStart, out.length), 16);
+}
+
+// Frame numbers use the UTF-8 style variable-length coding
+function writeUtf8Number(out, value) {
+    if (value < 0x80) {
+        out.write(value, 8);
+        return;
+    }
+    let continuation = 1;
+    while (value >= 2 ** (5 * continuation + 6)) continuation++;
+    const leadBits = 6 - continuation;
+    const lead = (0xFF << (7 - continuation)) & 0xFF;
+    out.write(lead | Math.floor(value / 2 ** (6 * continuation)) & ((1 << leadBits) - 1), 8);
+    for (let i = continuation - 1; i >= 0; i--) {
+        out.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3F), 8);
+    }
+}
+
+function crc(table, bits, bytes, start, end) {
+    let value = 0;
+    const shift = bits - 8;
+    const mask = (1 << bits) - 1;
+    for (let i = start; i < end; i++) {
+        value = ((value << 8) & mask) ^ table[((value >> shift) ^ bytes[i]) & 0xFF];
+    }
+    return value;
+}
+
+function writeSubframe(out, samples) {
+    if (samples.every(s => s === samples[0])) {
+        out.write(0b00000000, 8); // CONSTANT
+        out.writeSigned(samples[0], BITS_PER_SAMPLE);
+        return;
+    }
+
+    const { order, residual } = bestFixedPredictor(samples);
+    const rice = riceParameter(residual);
+    const verbatimBits = samples.length * BITS_PER_SAMPLE;
+    if (order * BITS_PER_SAMPLE + rice.bits >= verbatimBits) {
+        out.write(0b00000010, 8); // VERBATIM
+        samples.forEach(s => out.writeSigned(s, BITS_PER_SAMPLE));
+        return;
+    }
+
+    out.write(0b00010000 | (order << 1), 8); // FIXED, predictor order in the low bits
+    for (let i = 0; i < order; i++) out.writeSigned(samples[i], BITS_PER_SAMPLE);
+    out.write(0b01, 2);  // Rice coding with 5-bit parameters
+    out.write(0, 4);     // One partition
+    out.write(rice.parameter, 5);
+    residual.forEach(r => {
+        const folded = r >= 0 ? r * 2 : -r * 2 - 1;
+        out.writeUnary(folded >>> rice.parameter);
+        if (rice.parameter > 0) out.write(folded, rice.parameter);
+    });
+}
+
+// Fixed polynomial predictor with the smallest total residual
+function bestFixedPredictor(samples) {
+    let best = null;
+    for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, samples.length - 1); order++) {
+        const residual = new Int32Array(samples.length - order);
+        let sum = 0;
+        for (let i = order; i < samples.length; i++) {
+            const r = samples[i] - fixedPrediction(samples, i, order);
+            residual[i - order] = r;
+            sum += Math.abs(r);
+        }
+        if (!best || sum < best.sum) best = { order, residual, sum };
+    }
+    return best;
+}
+
+function fixedPrediction(s, i, order) {
+    switch (order) {
+        case 1: return s[i - 1];
+        case 2: return 2 * s[i - 1] - s[i - 2];
+        case 3: return 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+        case 4: return 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+        default: return 0;
+    }
+}
+
+// Rice parameter with the fewest bits, searched around the estimate from the mean
+function riceParameter(residual) {
+    const folded = Array.from(residual, r => (r >= 0 ? r * 2 : -r * 2 - 1));
+    const mean = folded.reduce((a, b) => a + b, 0) / Math.max(1, folded.length);
+    const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+
+    let best = null;
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(30, estimate + 1); parameter++) {
+        let bits = 0;
+        folded.forEach(u => { bits += (u >>> parameter) + 1 + parameter; });
+        if (!best || bits < best.bits) best = { parameter, bits };
+    }
+    return best;
+}
@@ -1,5 +1,5 @@
 import * as Tone from 'tone';
-import { Midi } from '@tonejs/midi';
+import { parseMidiFile } from './midi-file-parser.js';
 
 /**
  * MidiEngine - Isolated Audio Engine (Improved Version)
@@ -64,7 +64,7 @@ export class MidiEngine {
     async loadMidi(file) {
         try {
             const arrayBuffer = await file.arrayBuffer();
-            this.midi = new Midi(arrayBuffer);
+            this.midi = parseMidiFile(arrayBuffer);
 
             // Clear existing parts
             this.parts.forEach(part => part.dispose());
@@ -1,3 +1,6 @@
+import { MidiTransport } from './midi-transport.js';
+import { transposePitch, midiToNoteName } from './midi-transpose.js';
+
 /**
  * MidiHandler - Pure Data Analyzer
  * Responsible for parsing MIDI data and providing real-time analysis
@@ -8,6 +11,8 @@ export class MidiHandler {
         this.midi = null;
         this.notes = [];
         this.channels = {};
+        this.transport = null; // Tempo map for bar/beat positions
+        this.transpose = 0;    // Semitones applied to non-drum notes
         this.isInitialized = false;
     }
 
@@ -23,9 +28,9 @@ export class MidiHandler {
 
     async loadMidiFile(file) {
         // We'll import Midi dynamically to avoid loading it twice if needed
-        const { Midi } = await import('@tonejs/midi');
+        const { parseMidiFile } = await import('./midi-file-parser.js');
         const arrayBuffer = await file.arrayBuffer();
-        this.midi = new Midi(arrayBuffer);
+        this.midi = parseMidiFile(arrayBuffer);
         this.processNotes();
         return this.midi;
     }
@@ -39,9 +44,10 @@ export class MidiHandler {
             if (!this.channels[channel]) this.channels[channel] = [];
 
             track.notes.forEach(note => {
+                const pitch = transposePitch(channel, note.midi, this.transpose);
                 const n = {
-                    note: note.midi,
-                    name: note.name,
+                    note: pitch,
+                    name: midiToNoteName(pitch),
                     velocity: note.velocity,
                     startTime: note.time,
                     endTime: note.time + note.duration,
@@ -53,6 +59,7 @@ export class MidiHandler {
             });
         });
         this.notes.sort((a, b) => a.startTime - b.startTime);
+        this.transport = new MidiTransport(this.midi);
         console.log(`📊 MidiHandler: Processed ${this.notes.length} notes for analysis.`);
     }
 
@@ -88,13 +95,14 @@ export class MidiHandler {
 
         const energy = Math.min(1, bass + mid + high);
 
-        // Weighted pitch calculation for centroid
+        // Weighted pitch calculation for centroid, reported in Hz like the audio analyzer's
         let weightedSum = 0, weightTotal = 0;
         activeNotes.forEach(n => {
             weightedSum += n.note * n.velocity;
             weightTotal += n.velocity;
         });
-        const spectralCentroid = weightTotal > 0 ? (weightedSum / weightTotal) : 60;
+        const centroidPitch = weightTotal > 0 ? (weightedSum / weightTotal) : 60;
+        const spectralCentroid = 440 * 2 ** ((centroidPitch - 69) / 12);
 
         return {
             spectrum,
@@ -118,6 +126,17 @@ export class MidiHandler {
         return Object.keys(this.channels).map(Number).sort((a, b) => a - b);
     }
 
+    // Shift the note data the visualizers read, matching the players' transpose
+    setTranspose(semitones) {
+        this.transpose = semitones;
+        if (this.midi) this.processNotes();
+    }
+
+    getTransportInfo(time = this.getCurrentTime()) {
+        if (!this.transport) return { bar: 0, beat: 0, sixteenth: 0, beatProgress: 0, bpm: 120, timeSignature: [4, 4] };
+        return this.transport.getInfo(time);
+    }
+
     getChannelAnalysis(currentTime) {
         return this.getChannelIds().map(chId => {
             const notes = this.channels[chId].filter(n => currentTime >= n.startTime && currentTime <= n.endTime);
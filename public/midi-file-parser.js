@@ -0,0 +1,52 @@
+/**
+ * MIDI File Parser
+ * @tonejs/midi with the right channel on every track.
+ * @tonejs/midi splits the file's tracks into one track per channel and program, but only learns
+ * a track's channel from its notes: tracks holding nothing but controllers, pitch bends or
+ * program changes report channel 0. Format-0 files keep the controllers of every channel in
+ * such tracks, ahead of the notes, so volume, pan and pedal of all channels ended up on channel 0.
+ * The raw events (midi-file, the parser @tonejs/midi uses) are split the same way here, and each
+ * track takes the channel of its channel events.
+ */
+
+import { Midi } from '@tonejs/midi';
+import { parseMidi } from 'midi-file';
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data - the bytes of a .mid file
+ * @returns {Midi}
+ */
+export function parseMidiFile(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const midi = new Midi(bytes);
+    const channels = splitTrackChannels(parseMidi(bytes));
+    // @tonejs/midi drops the first track of a format-1 file when it has no notes
+    if (channels.length === midi.tracks.length + 1) channels.shift();
+    midi.tracks.forEach((track, i) => {
+        if (channels[i] !== null && channels[i] !== undefined) track.channel = channels[i];
+    });
+    return midi;
+}
+
+// Channel of every track splitTracks() in @tonejs/midi makes, null for tracks without channel events
+function splitTrackChannels(data) {
+    const channels = [];
+    data.tracks.forEach(events => {
+        const defaultTrack = channels.length;
+        const trackMap = new Map();     // "program channel" -> index of the split track
+        const currentProgram = new Array(16).fill(0);
+
+        events.forEach(event => {
+            let target = defaultTrack;
+            if (event.channel !== undefined) {
+                if (event.type === 'programChange') currentProgram[event.channel] = event.programNumber;
+                const key = `${currentProgram[event.channel]} ${event.channel}`;
+                if (!trackMap.has(key)) trackMap.set(key, defaultTrack + trackMap.size);
+                target = trackMap.get(key);
+            }
+            if (target >= channels.length) channels.push(null);
+            if (event.channel !== undefined) channels[target] = event.channel;
+        });
+    });
+    return channels;
+}
@@ -1,9 +1,17 @@
 import * as Tone from 'tone';
-import { Midi } from '@tonejs/midi';
+import { parseMidiFile } from './midi-file-parser.js';
+import { MidiTransport } from './midi-transport.js';
+import { transposePitch, midiToNoteName } from './midi-transpose.js';
+import { createChannelMix, createProgramOverrides } from './midi-mixer.js';
+import { GM_INSTRUMENTS } from './gm-instruments.js';
+import { AssetPaths, resolveAsset, loadAssetBuffer, loadAssetJson } from './asset-resolver.js';
 
 /**
  * Professional MIDI Handler using Multi-Sample Mapping
  * Equivalent quality to Piano Book / Decent Sampler within a browser environment.
+ * Notes only: the samplers are shared between tracks, so the file's controllers (sustain,
+ * volume, expression, pan) and pitch bends are not played and nothing is chased on a seek.
+ * The settings panel marks this backend accordingly (MidiPlayerManager.supportsControllers).
  */
 export class MidiHandler {
     constructor() {
@@ -15,8 +23,15 @@ export class MidiHandler {
         this.sampleManifest = null; // Stores available samples from manifest.json
         this.startTime = 0;
         this.pauseTime = 0;
+        this.playbackRate = 1.0;
         this.tempo = 120;
+        this.transport = null; // Tempo map for bar/beat positions
+        this.transpose = 0;    // Semitones applied to non-drum notes
+        this.loop = null;      // A-B loop region in song seconds
+        this.channelMix = createChannelMix(); // Mixer gain/pan per channel
+        this.programOverrides = createProgramOverrides(); // Instrument per channel replacing the file's
         this.scheduledEvents = [];
+        this.onNoteCallback = null;
         this.masterVolume = 0.8;
         this.audioContext = null;
 
@@ -162,8 +177,7 @@ export class MidiHandler {
 
         // Fetch sample manifest
         try {
-            const response = await fetch('./samples/manifest.json');
-            this.sampleManifest = await response.json();
+            this.sampleManifest = await loadAssetJson(resolveAsset(AssetPaths.SAMPLES, 'manifest.json'));
             console.log('📜 Audio: Sample manifest loaded.');
         } catch (e) {
             console.error('❌ Audio: Failed to load manifest.json', e);
@@ -178,7 +192,7 @@ export class MidiHandler {
             this.stop();
             this.samplers = {};
             const arrayBuffer = await file.arrayBuffer();
-            this.midi = new Midi(arrayBuffer);
+            this.midi = parseMidiFile(arrayBuffer);
             console.log(`📄 MIDI: Parsed successfully. Tracks: ${this.midi.tracks.length}, Duration: ${this.midi.duration.toFixed(2)}s`);
 
             if (this.midi.header.tempos.length > 0) {
@@ -202,9 +216,10 @@ export class MidiHandler {
             if (track.notes.length === 0) continue;
             const channel = track.channel;
             for (const note of track.notes) {
+                const pitch = transposePitch(channel, note.midi, this.transpose);
                 const noteObj = {
-                    note: note.midi,
-                    name: note.name,
+                    note: pitch,
+                    name: midiToNoteName(pitch),
                     velocity: note.velocity,
                     startTime: note.time,
                     endTime: note.time + note.duration,
@@ -217,6 +232,7 @@ export class MidiHandler {
             }
         }
         this.notes.sort((a, b) => a.startTime - b.startTime);
+        this.transport = new MidiTransport(this.midi);
         console.log(`📝 MIDI: Processed ${this.notes.length} total notes.`);
     }
 
@@ -234,7 +250,7 @@ export class MidiHandler {
         this.midi.tracks.forEach((track, index) => {
             if (track.notes.length === 0 || track.channel === 9) return;
 
-            const prg = track.instrument ? track.instrument.number : 0;
+            const prg = this.getChannelProgram(track.channel, track);
             let lib = MidiHandler.GM_TO_SAMPLE[prg] || 'piano';
 
             // Check manifest for availability, fallback to piano if missing
@@ -274,30 +290,18 @@ export class MidiHandler {
             console.log(`📥 Loading [${lib.toUpperCase()}] with ${Object.keys(samples).length} samples`);
 
             const sampler = new Tone.Sampler({
-                urls: samples,
-                baseUrl: `./samples/${lib}/`,
                 attack: 0.005,   // Very fast attack for precise timing
                 release: 1.5,   // Natural release for full instrument decay
                 curve: "exponential",  // Natural volume curve
-                volume: -6,     // Headroom to prevent clipping with multiple instruments
-                onload: () => {
-                    console.log(`✅ [${lib.toUpperCase()}] ready`);
-                },
-                onerror: (err) => {
-                    console.error(`❌ Failed to load [${lib.toUpperCase()}]:`, err);
-                }
+                volume: -6      // Headroom to prevent clipping with multiple instruments
             });
 
             if (this.output) sampler.connect(this.output);
             sharedSamplers[lib] = sampler;
 
-            promises.push(new Promise(resolve => {
-                const checkLoaded = () => {
-                    if (sampler.loaded) resolve();
-                    else setTimeout(checkLoaded, 50);
-                };
-                checkLoaded();
-            }));
+            promises.push(this._loadSamples(lib, samples, sampler)
+                .then(() => console.log(`✅ [${lib.toUpperCase()}] ready`))
+                .catch(err => console.error(`❌ Failed to load [${lib.toUpperCase()}]:`, err)));
         }
 
         // Third pass: Map each track to its shared sampler
@@ -315,6 +319,14 @@ export class MidiHandler {
         }
     }
 
+    // Sample files come through the asset cache and reach the sampler already decoded
+    async _loadSamples(lib, samples, sampler) {
+        await Promise.all(Object.entries(samples).map(async ([noteName, fileName]) => {
+            const data = await loadAssetBuffer(resolveAsset(AssetPaths.SAMPLES, lib, fileName));
+            sampler.add(noteName, new Tone.ToneAudioBuffer(await Tone.getContext().decodeAudioData(data)));
+        }));
+    }
+
     async play(startTime = 0) {
         console.log('▶️ Playback: Starting at', startTime.toFixed(2), 's');
         this.stop();
@@ -333,7 +345,7 @@ export class MidiHandler {
 
         this.isPlaying = true;
         this.pauseTime = startTime;
-        this.startTime = Tone.now() - startTime;
+        this.startTime = Tone.now();
 
         // Reset Transport completely
         Tone.Transport.stop();
@@ -377,21 +389,62 @@ export class MidiHandler {
         const hihat = new Tone.MetalSynth({ frequency: 200, envelope: { attack: 0.001, decay: 0.1, sustain: 0 }, resonance: 4000 }).connect(this.output);
         this.drumSynths = { kick, hihat };
 
+        // Inside a loop region, notes stop at the loop end and playback restarts at its start.
+        // Both run from a timeout at the audio time: Tone's Draw waits for requestAnimationFrame,
+        // which stops in hidden tabs, and the song must still end there
+        const atAudioTime = (t, callback) => setTimeout(callback, Math.max(0, (t - Tone.now()) * 1000));
+        const loopEnd = this.loop && fromTime < this.loop.end ? this.loop.end : Infinity;
+        if (loopEnd !== Infinity) {
+            const eventId = Tone.Transport.schedule((t) => {
+                atAudioTime(t, () => {
+                    if (this.isPlaying && this.loop) this.play(this.loop.start);
+                });
+            }, (loopEnd - fromTime) / this.playbackRate);
+            this.scheduledEvents.push(eventId);
+        } else {
+            // The Transport would run on forever, so playback stops itself at the song end
+            const eventId = Tone.Transport.schedule((t) => {
+                atAudioTime(t, () => {
+                    if (!this.isPlaying) return;
+                    this.stop();
+                    this.pauseTime = this.midi.duration;
+                    console.log('🏁 Playback finished');
+                });
+            }, Math.max(0, this.midi.duration - fromTime) / this.playbackRate);
+            this.scheduledEvents.push(eventId);
+        }
+
         this.midi.tracks.forEach((track, index) => {
             track.notes.forEach(note => {
-                if (note.time < fromTime) return;
-                const time = note.time - fromTime;
+                if (note.time < fromTime || note.time >= loopEnd) return;
+                // Transport seconds are audio time, so song times stretch with the playback rate
+                const time = (note.time - fromTime) / this.playbackRate;
+                const duration = note.duration / this.playbackRate;
+                const pitch = transposePitch(track.channel, note.midi, this.transpose);
+                const name = midiToNoteName(pitch);
 
                 const eventId = Tone.Transport.schedule((t) => {
                     const sampler = this.samplers[index];
+                    // Samplers are shared between tracks, so the mixer works on velocity
+                    const mix = this.channelMix[track.channel] || { gain: 1 };
+                    if (mix.gain === 0) return;
+                    if (this.onNoteCallback) {
+                        Tone.getDraw().schedule(() => this.onNoteCallback({
+                            pitch,
+                            velocity: note.velocity,
+                            startTime: note.time,
+                            endTime: note.time + note.duration,
+                            channel: track.channel
+                        }), t);
+                    }
                     if (track.channel === 9) {
-                        this.drumSynths.kick.triggerAttackRelease("C1", "16n", t, note.velocity);
+                        this.drumSynths.kick.triggerAttackRelease("C1", "16n", t, note.velocity * mix.gain);
                     } else if (sampler && sampler.loaded) {
                         // Diagnostic log for first few notes
                         if (note.time < fromTime + 0.1) {
-                            console.log(`🎶 Trigger: Track ${index} playing ${note.name} (Vel: ${note.velocity.toFixed(2)})`);
+                            console.log(`🎶 Trigger: Track ${index} playing ${name} (Vel: ${note.velocity.toFixed(2)})`);
                         }
-                        sampler.triggerAttackRelease(note.name, note.duration, t, note.velocity * this.masterVolume * 2.0);
+                        sampler.triggerAttackRelease(name, duration, t, note.velocity * mix.gain * this.masterVolume * 2.0);
                     } else if (sampler && !sampler.loaded) {
                         console.warn(`⏳ Note missed: Sampler for Track ${index} not yet loaded.`);
                     }
@@ -420,9 +473,72 @@ export class MidiHandler {
         Object.values(this.samplers).forEach(s => s.releaseAll ? s.releaseAll() : null);
     }
 
+    // Callback for visualization, fired when the note sounds
+    onNote(callback) {
+        this.onNoteCallback = callback;
+    }
+
     getCurrentTime() {
         if (!this.isPlaying) return this.pauseTime;
-        return Tone.now() - this.startTime;
+        return this.pauseTime + (Tone.now() - this.startTime) * this.playbackRate;
+    }
+
+    // Mixer gain (0 = muted) for one channel; pan is not supported by the shared samplers
+    setChannelMix(channel, mix) {
+        this.channelMix[channel] = { ...mix };
+    }
+
+    // Instrument override for one channel (null restores the file's program)
+    async setChannelProgram(channel, program) {
+        this.programOverrides[channel] = program;
+        // Only reload samplers when this handler is the playback engine, not a data-only instance
+        if (this.midi && this.output) {
+            const previous = new Set(Object.values(this.samplers));
+            await this.loadInstruments();
+            previous.forEach(sampler => sampler.dispose());
+        }
+    }
+
+    // Shifts both the note data for the visualizers and the sampler pitches
+    setTranspose(semitones) {
+        this.transpose = semitones;
+        if (!this.midi) return;
+        this.processNotes();
+        if (this.isPlaying) {
+            const position = this.getCurrentTime();
+            this.stop();
+            this.play(position);
+        }
+    }
+
+    // Notes are scheduled up front, so a loop change reschedules from the current position
+    setLoop(start, end) {
+        this.loop = { start, end };
+        this._reschedule();
+    }
+
+    clearLoop() {
+        this.loop = null;
+        this._reschedule();
+    }
+
+    _reschedule() {
+        if (!this.isPlaying) return;
+        const position = this.getCurrentTime();
+        this.stop();
+        this.play(position);
+    }
+
+    // Notes are scheduled up front, so a new rate reschedules from the current position
+    setPlaybackRate(rate) {
+        if (this.isPlaying) {
+            const position = this.getCurrentTime();
+            this.stop();
+            this.playbackRate = rate;
+            this.play(position);
+        } else {
+            this.playbackRate = rate;
+        }
     }
 
     getAnalysis(currentTime) {
@@ -477,7 +593,9 @@ export class MidiHandler {
         }
 
         const totalEnergy = Math.min(1, bass + mid + high);
-        const spectralCentroid = weightTotal > 0 ? (weightedSum / weightTotal) : 60;
+        // Weighted pitch, in Hz like the audio analyzer's centroid
+        const centroidPitch = weightTotal > 0 ? (weightedSum / weightTotal) : 60;
+        const spectralCentroid = 440 * 2 ** ((centroidPitch - 69) / 12);
 
         return {
             spectrum: this._anaSpectrum,
@@ -499,6 +617,24 @@ export class MidiHandler {
 
     getChannelIds() { return Object.keys(this.channels).map(Number).sort((a, b) => a - b); }
 
+    // GM program a channel plays: its override, otherwise the file's (first track with notes)
+    getChannelProgram(chId, track = null) {
+        if (this.programOverrides[chId] !== null && this.programOverrides[chId] !== undefined) {
+            return this.programOverrides[chId];
+        }
+        const trackMeta = track || (this.midi && this.midi.tracks.find(t => t.channel === chId && t.notes.length > 0));
+        return trackMeta && trackMeta.instrument ? trackMeta.instrument.number : 0;
+    }
+
+    // Instrument name of a channel, formatted the way the channel-aware visualizers show it
+    getChannelInstrumentName(chId) {
+        const trackMeta = this.midi && this.midi.tracks.find(t => t.channel === chId && t.notes.length > 0);
+        if (!trackMeta || !trackMeta.instrument) return `CH${chId + 1}`;
+        const program = this.getChannelProgram(chId, trackMeta);
+        const name = MidiHandler.GM_MAP[program] || GM_INSTRUMENTS[program] || `CH${chId + 1}`;
+        return name.replace(/_/g, ' ').toUpperCase();
+    }
+
     getChannelAnalysis(currentTime) {
         const channelIds = this.getChannelIds();
         return channelIds.map(chId => {
@@ -519,9 +655,9 @@ export class MidiHandler {
         });
     }
 
-    getTransportInfo() {
-        if (!this.isPlaying) return { bar: 0, beat: 0, sixteenth: 0, beatProgress: 0 };
-        const pos = Tone.Transport.position.split(':');
-        return { bar: parseInt(pos[0]), beat: parseInt(pos[1]), sixteenth: parseFloat(pos[2]), beatProgress: (parseFloat(pos[2]) / 4) };
+    // Bar/beat position from the file's tempo map, for any song time
+    getTransportInfo(time = this.getCurrentTime()) {
+        if (!this.transport) return { bar: 0, beat: 0, sixteenth: 0, beatProgress: 0, bpm: this.tempo, timeSignature: [4, 4] };
+        return this.transport.getInfo(time);
     }
 }
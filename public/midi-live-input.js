@@ -0,0 +1,297 @@
+/**
+ * Live MIDI Input
+ * Notes, controllers and pitch bend from Web MIDI devices, turned into the same analysis
+ * MidiHandler.getAnalysis() builds from a file, so the visualizers follow live playing.
+ * Messages become scheduler-style events ({type, channel, midi, velocity 0-1, ...}) with a
+ * time on the live clock; listeners get them as they arrive, e.g. to sound them or record them.
+ * Access goes through navigator.requestMIDIAccess on connect(), so a mock can stand in for it.
+ */
+
+import { midiToNoteName } from './midi-transpose.js';
+import { CHANNEL_COUNT } from './midi-mixer.js';
+
+const BEND_RANGE = 2;       // Semitones at full pitch wheel, the GM default
+const RELEASE_TIME = 0.15;  // Seconds a released note fades out of the analysis
+const SUSTAIN_PEDAL = 64;
+
+export class MidiLiveInput {
+    constructor() {
+        this.access = null;
+        this.inputId = null;        // null listens to every connected input
+        this.startedAt = 0;         // performance.now() of connect(), the live clock's zero
+        this.listeners = new Set();
+        this.onInputsChangeCallback = null;
+        this._handleMessage = (message) => this.handleMessage(message.data, message.timeStamp);
+        this._reset();
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+    }
+
+    get isConnected() {
+        return this.access !== null;
+    }
+
+    async connect() {
+        if (this.access) return;
+        if (!MidiLiveInput.isSupported()) {
+            throw new Error('Bu tarayıcı Web MIDI desteklemiyor');
+        }
+
+        this.access = await navigator.requestMIDIAccess();
+        // Devices plugged in later start sending right away
+        this.access.onstatechange = () => {
+            this._bindInputs();
+            if (this.onInputsChangeCallback) this.onInputsChangeCallback(this.getInputs());
+        };
+        this._reset();
+        this.startedAt = performance.now();
+        this._bindInputs();
+        console.log(`🎹 LiveInput: Connected, ${this.getInputs().length} input(s)`);
+    }
+
+    disconnect() {
+        if (!this.access) return;
+        this._inputs().forEach(input => { input.onmidimessage = null; });
+        this.access.onstatechange = null;
+        this.access = null;
+        this._reset();
+        console.log('🎹 LiveInput: Disconnected');
+    }
+
+    // @returns {Array<{id: string, name: string}>}
+    getInputs() {
+        return this._inputs().map(input => ({ id: input.id, name: input.name || input.id }));
+    }
+
+    selectInput(id) {
+        this.inputId = id || null;
+        this._bindInputs();
+    }
+
+    onInputsChange(callback) {
+        this.onInputsChangeCallback = callback;
+    }
+
+    // Called with every parsed event; returns a function that removes the listener
+    onEvent(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    // Seconds since connect()
+    getCurrentTime() {
+        return this.access ? (performance.now() - this.startedAt) / 1000 : 0;
+    }
+
+    _inputs() {
+        return this.access ? [...this.access.inputs.values()] : [];
+    }
+
+    _bindInputs() {
+        this._inputs().forEach(input => {
+            const selected = !this.inputId || input.id === this.inputId;
+            input.onmidimessage = selected ? this._handleMessage : null;
+        });
+    }
+
+    _reset() {
+        this.held = new Map();      // channel * 128 + note -> sounding note
+        this.released = [];         // Notes fading out after their note-off
+        this.sustain = new Array(CHANNEL_COUNT).fill(false);
+        this.bend = new Array(CHANNEL_COUNT).fill(0);       // Semitones
+        this.level = new Array(CHANNEL_COUNT).fill(1);      // CC7 × CC11, scales channel energy
+        this.volume = new Array(CHANNEL_COUNT).fill(127);
+        this.expression = new Array(CHANNEL_COUNT).fill(127);
+        this.programs = new Array(CHANNEL_COUNT).fill(0);
+        this.activeChannels = new Set();
+        this.onsets = new Set();    // Channels with a note-on since the last analysis
+    }
+
+    /**
+     * Parses one raw MIDI message and updates the live state.
+     * @param {Uint8Array|number[]} data
+     * @param {number} [timeStamp] - performance.now() time of the message
+     * @returns {Object|null} the event, or null for messages that are not channel voice messages
+     */
+    handleMessage(data, timeStamp = performance.now()) {
+        const event = this._parse(data);
+        if (!event) return null;
+        event.time = Math.max(0, (timeStamp - this.startedAt) / 1000);
+
+        this._apply(event);
+        this.listeners.forEach(listener => listener(event));
+        return event;
+    }
+
+    _parse(data) {
+        const status = data[0];
+        if (status === undefined || status >= 0xF0) return null; // Clock, active sensing, sysex
+        const type = status & 0xF0;
+        const channel = status & 0x0F;
+
+        switch (type) {
+            case 0x90:
+                if (data[2] > 0) return { type: 'noteOn', channel, midi: data[1], velocity: data[2] / 127 };
+                return { type: 'noteOff', channel, midi: data[1], velocity: 0 };
+            case 0x80:
+                return { type: 'noteOff', channel, midi: data[1], velocity: 0 };
+            case 0xB0:
+                return { type: 'controlChange', channel, controller: data[1], value: data[2] };
+            case 0xC0:
+                return { type: 'programChange', channel, program: data[1] };
+            case 0xE0:
+                return { type: 'pitchBend', channel, value: data[1] | (data[2] << 7) };
+            default:
+                return null; // Aftertouch is not shown
+        }
+    }
+
+    _apply(event) {
+        const { channel } = event;
+        const key = channel * 128 + event.midi; // Only meaningful for note events
+
+        if (event.type === 'noteOn') {
+            this._release(key, event.time); // Retriggered key
+            this.held.set(key, {
+                note: event.midi,
+                name: midiToNoteName(event.midi),
+                velocity: event.velocity,
+                startTime: event.time,
+                endTime: Infinity,
+                channel,
+                sustained: false
+            });
+            this.activeChannels.add(channel);
+            this.onsets.add(channel);
+        } else if (event.type === 'noteOff') {
+            const note = this.held.get(key);
+            if (!note) return;
+            if (this.sustain[channel]) note.sustained = true;
+            else this._release(key, event.time);
+        } else if (event.type === 'controlChange') {
+            this._applyController(event);
+        } else if (event.type === 'pitchBend') {
+            this.bend[channel] = (event.value - 8192) / 8192 * BEND_RANGE;
+        } else if (event.type === 'programChange') {
+            this.programs[channel] = event.program;
+        }
+    }
+
+    _applyController({ channel, controller, value, time }) {
+        if (controller === SUSTAIN_PEDAL) {
+            this.sustain[channel] = value >= 64;
+            if (!this.sustain[channel]) {
+                this.held.forEach((note, key) => {
+                    if (note.channel === channel && note.sustained) this._release(key, time);
+                });
+            }
+        } else if (controller === 7 || controller === 11) {
+            if (controller === 7) this.volume[channel] = value;
+            else this.expression[channel] = value;
+            this.level[channel] = (this.volume[channel] / 127) * (this.expression[channel] / 127);
+        } else if (controller === 120 || controller === 123) {
+            // All sound / all notes off
+            this.held.forEach((note, key) => {
+                if (note.channel === channel) this._release(key, time);
+            });
+        }
+    }
+
+    _release(key, time) {
+        const note = this.held.get(key);
+        if (!note) return;
+        this.held.delete(key);
+        note.endTime = time;
+        this.released.push(note);
+    }
+
+    // Velocity a note contributes now: full while held, fading after release
+    _noteEnergy(note, currentTime) {
+        const level = note.velocity * this.level[note.channel];
+        if (note.endTime === Infinity) return level;
+        return level * Math.max(0, 1 - (currentTime - note.endTime) / RELEASE_TIME);
+    }
+
+    /**
+     * Same structure as MidiHandler.getAnalysis(), for the notes sounding right now.
+     * Beats are note-ons since the previous call, so each one shows for exactly one frame.
+     */
+    getAnalysis(currentTime = this.getCurrentTime()) {
+        if (!this._anaSpectrum) this._anaSpectrum = new Uint8Array(128);
+        if (!this._anaWaveform) this._anaWaveform = new Uint8Array(128).fill(128);
+        if (!this._anaBars) this._anaBars = new Array(32);
+
+        this._anaSpectrum.fill(0);
+        this.released = this.released.filter(n => currentTime - n.endTime < RELEASE_TIME);
+
+        let bass = 0, mid = 0, high = 0;
+        let weightedSum = 0, weightTotal = 0;
+        const channelEnergy = new Map();
+        const channelNotes = new Map();
+
+        const addNote = (n) => {
+            const energy = this._noteEnergy(n, currentTime);
+            if (energy <= 0) return;
+            const pitch = n.note + this.bend[n.channel];
+
+            if (pitch < 48) bass += energy;
+            else if (pitch < 72) mid += energy;
+            else high += energy;
+
+            weightedSum += pitch * energy;
+            weightTotal += energy;
+
+            const bin = Math.floor(((pitch - 21) / 87) * 128);
+            if (bin >= 0 && bin < 128) {
+                this._anaSpectrum[bin] = Math.max(this._anaSpectrum[bin], energy * 255);
+            }
+
+            channelEnergy.set(n.channel, (channelEnergy.get(n.channel) || 0) + energy);
+            if (n.endTime === Infinity) channelNotes.set(n.channel, (channelNotes.get(n.channel) || 0) + 1);
+        };
+        this.held.forEach(addNote);
+        this.released.forEach(addNote);
+
+        for (let i = 0; i < 32; i++) {
+            let max = 0;
+            const start = Math.floor(i * 128 / 32);
+            for (let j = 0; j < 4; j++) {
+                if (this._anaSpectrum[start + j] > max) max = this._anaSpectrum[start + j];
+            }
+            this._anaBars[i] = max / 255;
+        }
+
+        const channelData = [...this.activeChannels].sort((a, b) => a - b).map(channelId => ({
+            channelId,
+            energy: Math.min(1, channelEnergy.get(channelId) || 0),
+            noteCount: channelNotes.get(channelId) || 0,
+            isBeat: this.onsets.has(channelId)
+        }));
+        const isBeat = this.onsets.size > 0;
+        this.onsets.clear();
+
+        const totalEnergy = Math.min(1, bass + mid + high);
+        // Weighted pitch, in Hz like the audio analyzer's centroid
+        const centroidPitch = weightTotal > 0 ? (weightedSum / weightTotal) : 60;
+
+        return {
+            spectrum: this._anaSpectrum,
+            waveform: this._anaWaveform,
+            bars: this._anaBars,
+            bass: Math.min(1, bass),
+            mid: Math.min(1, mid),
+            high: Math.min(1, high),
+            bassNorm: Math.min(1, bass),
+            midNorm: Math.min(1, mid),
+            highNorm: Math.min(1, high),
+            totalEnergy: totalEnergy * 255,
+            spectralCentroid: 440 * 2 ** ((centroidPitch - 69) / 12),
+            isBeat,
+            channelData,
+            isMidi: true,
+            isLive: true
+        };
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * Live MIDI Recorder
+ * Captures a take from MidiLiveInput and writes it as a Standard MIDI File with @tonejs/midi:
+ * one track per channel with notes and velocities, every controller (sustain pedal included),
+ * pitch bend and the programs in use when the take started, at a fixed 120 BPM.
+ * @tonejs/midi writes a single program change per track, so changes made during the take
+ * are spliced into the encoded tracks afterwards.
+ */
+
+import { Midi } from '@tonejs/midi';
+import { GM_INSTRUMENTS } from './gm-instruments.js';
+import { DRUM_CHANNEL } from './midi-transpose.js';
+
+const RECORD_TEMPO = 120;        // Free playing has no tempo, the file only needs one to place ticks
+const MIN_NOTE_DURATION = 0.01;
+
+export class MidiLiveRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.startTime = 0;          // Live clock time the take began
+        this.initialState = null;    // Programs and levels the channels had at the start
+        this.notes = [];
+        this.held = new Map();       // channel * 128 + note -> note still down
+        this.controllers = [];
+        this.pitchBends = [];
+        this.programChanges = [];
+        this.channels = new Set();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * @param {import('./midi-live-input.js').MidiLiveInput} input - connected live input
+     */
+    start(input) {
+        if (this.isRecording) return;
+        this.notes = [];
+        this.held.clear();
+        this.controllers = [];
+        this.pitchBends = [];
+        this.programChanges = [];
+        this.channels.clear();
+
+        this.startTime = input.getCurrentTime();
+        this.initialState = {
+            programs: [...input.programs],
+            sustain: [...input.sustain],
+            volume: [...input.volume],
+            expression: [...input.expression]
+        };
+        this.unsubscribe = input.onEvent((event) => this._record(event));
+        this.isRecording = true;
+        console.log('⏺️ LiveRecorder: Recording');
+    }
+
+    /**
+     * Ends the take; notes still held end here.
+     * @returns {{file: File, midi: Object, duration: number, noteCount: number}|null} null when nothing was played
+     */
+    stop(input) {
+        if (!this.isRecording) return null;
+        const end = Math.max(0, input.getCurrentTime() - this.startTime);
+        this.held.forEach((note, key) => this._finish(key, end));
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.isRecording = false;
+
+        if (this.notes.length === 0) {
+            console.log('⏹️ LiveRecorder: Stopped, no notes');
+            return null;
+        }
+
+        const name = `Canlı Kayıt ${new Date().toLocaleString('tr-TR').replace(/[/:]/g, '-')}`;
+        const midi = this._buildMidi(name);
+        const file = new File([this._encode(midi)], `${name}.mid`, { type: 'audio/midi' });
+        console.log(`⏹️ LiveRecorder: ${this.notes.length} notes, ${end.toFixed(1)}s`);
+        return { file, midi, duration: end, noteCount: this.notes.length };
+    }
+
+    // Seconds recorded so far
+    getDuration(input) {
+        return this.isRecording ? input.getCurrentTime() - this.startTime : 0;
+    }
+
+    _record(event) {
+        const time = Math.max(0, event.time - this.startTime);
+        const channel = event.channel;
+        const key = channel * 128 + event.midi; // Only meaningful for note events
+
+        if (event.type === 'noteOn') {
+            this._finish(key, time); // Retriggered key
+            this.held.set(key, { midi: event.midi, velocity: event.velocity, time, channel });
+        } else if (event.type === 'noteOff') {
+            this._finish(key, time);
+        } else if (event.type === 'controlChange') {
+            this.controllers.push({ channel, number: event.controller, value: event.value, time });
+        } else if (event.type === 'pitchBend') {
+            this.pitchBends.push({ channel, value: event.value, time });
+        } else if (event.type === 'programChange') {
+            this.programChanges.push({ channel, program: event.program, time });
+        }
+        this.channels.add(channel);
+    }
+
+    _finish(key, time) {
+        const note = this.held.get(key);
+        if (!note) return;
+        this.held.delete(key);
+        this.notes.push({ ...note, duration: Math.max(MIN_NOTE_DURATION, time - note.time) });
+    }
+
+    _buildMidi(name) {
+        const midi = new Midi();
+        midi.header.setTempo(RECORD_TEMPO);
+        midi.header.name = name;
+        const { programs, sustain, volume, expression } = this.initialState;
+
+        this._sortedChannels().forEach(channel => {
+            const track = midi.addTrack();
+            track.channel = channel;
+            track.instrument.number = programs[channel];
+            track.name = channel === DRUM_CHANNEL ? 'Drums' : (GM_INSTRUMENTS[programs[channel]] || `Kanal ${channel + 1}`);
+
+            // Levels and pedal already set when the take began
+            if (volume[channel] !== 127) track.addCC({ number: 7, value: volume[channel] / 127, time: 0 });
+            if (expression[channel] !== 127) track.addCC({ number: 11, value: expression[channel] / 127, time: 0 });
+            if (sustain[channel]) track.addCC({ number: 64, value: 1, time: 0 });
+
+            this.notes.filter(n => n.channel === channel).forEach(n => {
+                track.addNote({ midi: n.midi, time: n.time, duration: n.duration, velocity: n.velocity });
+            });
+            this.controllers.filter(c => c.channel === channel).forEach(c => {
+                track.addCC({ number: c.number, value: c.value / 127, time: c.time });
+            });
+            // The writer takes the signed 14-bit bend, not the -1..1 the parser hands back
+            this.pitchBends.filter(b => b.channel === channel).forEach(b => {
+                track.addPitchBend({ value: b.value - 8192, time: b.time });
+            });
+        });
+        return midi;
+    }
+
+    _sortedChannels() {
+        return [...this.channels].sort((a, b) => a - b);
+    }
+
+    _encode(midi) {
+        const bytes = midi.toArray();
+        if (this.programChanges.length === 0) return bytes;
+        const changes = this.programChanges.map(c => ({ ...c, ticks: Math.round(midi.header.secondsToTicks(c.time)) }));
+        return spliceProgramChanges(bytes, this._sortedChannels(), changes);
+    }
+}
+
+/**
+ * Inserts program changes into an encoded file. Chunk 0 is the conductor track,
+ * chunk i + 1 holds channels[i], the way @tonejs/midi writes its tracks.
+ */
+function spliceProgramChanges(bytes, channels, changes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 14)]; // MThd
+    let offset = 14;
+
+    for (let chunk = 0; offset < bytes.length; chunk++) {
+        const length = view.getUint32(offset + 4);
+        const end = offset + 8 + length;
+        const inserts = chunk === 0 ? [] : changes.filter(c => c.channel === channels[chunk - 1]);
+
+        if (inserts.length === 0) {
+            parts.push(bytes.subarray(offset, end));
+        } else {
+            const events = readTrackEvents(bytes.subarray(offset + 8, end));
+            inserts.forEach(c => events.push({ ticks: c.ticks, data: [0xC0 | c.channel, c.program], order: 0 }));
+            parts.push(writeTrackChunk(events));
+        }
+        offset = end;
+    }
+
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let position = 0;
+    parts.forEach(p => { out.set(p, position); position += p.length; });
+    return out;
+}
+
+function readVarLength(bytes, offset) {
+    let value = 0;
+    let length = 0;
+    let byte;
+    do {
+        byte = bytes[offset + length++];
+        value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80);
+    return { value, length };
+}
+
+function writeVarLength(value) {
+    const out = [value & 0x7F];
+    while ((value >>= 7) > 0) out.unshift((value & 0x7F) | 0x80);
+    return out;
+}
+
+function readTrackEvents(body) {
+    const events = [];
+    let offset = 0;
+    let ticks = 0;
+    let status = 0;
+
+    while (offset < body.length) {
+        const delta = readVarLength(body, offset);
+        ticks += delta.value;
+        offset += delta.length;
+
+        const start = offset;
+        if (body[offset] & 0x80) status = body[offset++]; // Otherwise running status
+        let isEnd = false;
+        if (status === 0xFF) {
+            isEnd = body[offset] === 0x2F;
+            const size = readVarLength(body, offset + 1);
+            offset += 1 + size.length + size.value;
+        } else if (status === 0xF0 || status === 0xF7) {
+            const size = readVarLength(body, offset);
+            offset += size.length + size.value;
+        } else {
+            offset += (status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0 ? 1 : 2;
+        }
+
+        const data = [...body.subarray(start, offset)];
+        if (!(data[0] & 0x80)) data.unshift(status);
+        // Program changes sort before notes at the same tick, end of track after everything
+        events.push({ ticks, data, order: isEnd ? 2 : 1, isEnd });
+    }
+    return events;
+}
+
+function writeTrackChunk(events) {
+    const last = Math.max(...events.map(e => e.ticks));
+    events.forEach(e => { if (e.isEnd) e.ticks = last; });
+    events.sort((a, b) => a.ticks - b.ticks || a.order - b.order);
+
+    const body = [];
+    let ticks = 0;
+    events.forEach(e => {
+        body.push(...writeVarLength(e.ticks - ticks), ...e.data);
+        ticks = e.ticks;
+    });
+
+    const chunk = new Uint8Array(8 + body.length);
+    chunk.set([0x4D, 0x54, 0x72, 0x6B]); // MTrk
+    new DataView(chunk.buffer).setUint32(4, body.length);
+    chunk.set(body, 8);
+    return chunk;
+}
@@ -0,0 +1,34 @@
+/**
+ * Channel Mixer Helpers
+ * The mixer works relative to the file: gain scales the channel's own CC7 volume and
+ * pan offsets its own CC10 pan, so the arrangement's balance survives a mixer reset.
+ * Mute and solo are resolved by MidiPlayerManager into a gain of 0.
+ * Program overrides replace the file's instrument on a channel; null keeps the file's own.
+ */
+
+export const CHANNEL_COUNT = 16;
+
+// Per-channel values a backend applies: gain 0..1, pan offset -1..1
+export function createChannelMix() {
+    return Array.from({ length: CHANNEL_COUNT }, () => ({ gain: 1, pan: 0 }));
+}
+
+// The file's own channel state, GM defaults until the file sends its own
+export function createFileLevels() {
+    return Array.from({ length: CHANNEL_COUNT }, () => ({ volume: 100, pan: 64, program: 0 }));
+}
+
+// GM program per channel that replaces the file's program changes (null = file's own)
+export function createProgramOverrides() {
+    return new Array(CHANNEL_COUNT).fill(null);
+}
+
+// CC7 value to send for a file volume under the mixer gain
+export function mixVolume(fileVolume, mix) {
+    return Math.round(fileVolume * mix.gain);
+}
+
+// CC10 value to send for a file pan shifted by the mixer pan
+export function mixPan(filePan, mix) {
+    return Math.max(0, Math.min(127, Math.round(filePan + mix.pan * 64)));
+}
@@ -0,0 +1,176 @@
+/**
+ * Offline MIDI Renderer
+ * Renders a MIDI file faster than real time with the same FluidR3 SoundFont SpessaMidiPlayer plays,
+ * on its own OfflineAudioContext, so the live AudioContext is never needed.
+ * The file is rebuilt as a MIDI sequence with the mixer, transpose and instrument overrides baked in;
+ * the tempo factor goes to the offline sequencer, and user sound banks are layered like in the live synth.
+ * The result downloads as WAV or FLAC.
+ */
+
+import { WorkletSynthesizer, Sequencer, audioBufferToWav } from 'spessasynth_lib';
+import { BasicMIDI, MIDIBuilder } from 'spessasynth_core';
+import { buildMidiEvents } from './midi-scheduler.js';
+import { transposePitch } from './midi-transpose.js';
+import { CHANNEL_COUNT, mixVolume, mixPan } from './midi-mixer.js';
+import { encodeFlac } from './flac-encoder.js';
+import { AssetPaths, loadAssetBuffer } from './asset-resolver.js';
+
+const SAMPLE_RATE = 44100;
+const TICKS_PER_SECOND = 1920;   // 960 PPQ at a fixed 120 BPM, event times are already in seconds
+const RELEASE_TAIL = 2;          // Seconds rendered after the song end for releases and reverb
+const PROGRESS_STEPS = 50;
+const PEAK_LEVEL = 0.99;
+
+export const RenderFormat = {
+    WAV: 'wav',
+    FLAC: 'flac'
+};
+
+export class MidiOfflineRenderer {
+    constructor() {
+        this.soundfontBuffer = null; // Fetched once and kept, every render needs its own copy
+        this.isRendering = false;
+    }
+
+    /**
+     * Renders the whole file to a stereo AudioBuffer, normalized to just below full scale.
+     * @param {Object} midi - @tonejs/midi Midi
+     * @param {{playbackRate: number, transpose: number, channelMix: Array<{gain: number, pan: number}>, programOverrides: Array<number|null>, soundBanks: ArrayBuffer[]}} settings
+     * @param {(progress: number) => void} [onProgress] - 0..1
+     * @returns {Promise<AudioBuffer>}
+     */
+    async render(midi, settings, onProgress = null) {
+        if (this.isRendering) throw new Error('Zaten bir dışa aktarma sürüyor');
+        this.isRendering = true;
+
+        try {
+            const soundfont = await this._loadSoundfont();
+            const duration = midi.duration / settings.playbackRate + RELEASE_TAIL;
+            const context = new OfflineAudioContext({
+                numberOfChannels: 2,
+                length: Math.ceil(duration * SAMPLE_RATE),
+                sampleRate: SAMPLE_RATE
+            });
+
+            await context.audioWorklet.addModule('/spessasynth_processor.js');
+            const synth = new WorkletSynthesizer(context);
+            synth.connect(context.destination);
+            await synth.isReady;
+
+            // The offline render drives the worklet's first sequencer
+            new Sequencer(synth);
+            console.log('🎛️ Offline render: sending sequence to the worklet...');
+            await synth.startOfflineRender({
+                midiSequence: this._buildSequence(midi, settings),
+                // User banks first, they take priority over the GM set like in live playback
+                soundBankList: [...settings.soundBanks, soundfont].map(buffer => ({ bankOffset: 0, soundBankBuffer: buffer.slice(0) })),
+                loopCount: 0,
+                sequencerOptions: {
+                    skipToFirstNoteOn: false,
+                    initialPlaybackRate: settings.playbackRate
+                }
+            });
+
+            // Suspend points are the only progress signal an OfflineAudioContext gives
+            for (let step = 1; step < PROGRESS_STEPS; step++) {
+                const time = duration * step / PROGRESS_STEPS;
+                context.suspend(time).then(() => {
+                    if (onProgress) onProgress(step / PROGRESS_STEPS);
+                    context.resume();
+                });
+            }
+
+            const started = performance.now();
+            const buffer = await context.startRendering();
+            if (onProgress) onProgress(1);
+            console.log(`✅ Offline render: ${duration.toFixed(1)}s of audio in ${((performance.now() - started) / 1000).toFixed(1)}s`);
+
+            this._normalize(buffer);
+            return buffer;
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * @param {AudioBuffer} buffer
+     * @param {string} format - RenderFormat
+     * @returns {Blob}
+     */
+    encode(buffer, format = RenderFormat.WAV) {
+        if (format === RenderFormat.FLAC) {
+            const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+            return encodeFlac(channels, buffer.sampleRate);
+        }
+        return audioBufferToWav(buffer, { normalizeAudio: false });
+    }
+
+    async _loadSoundfont() {
+        if (!this.soundfontBuffer) {
+            console.log('📦 Offline render: loading SoundFont...');
+            this.soundfontBuffer = await loadAssetBuffer(AssetPaths.SOUNDFONT);
+        }
+        return this.soundfontBuffer;
+    }
+
+    /**
+     * The file as SpessaMidiPlayer would send it, written into a MIDI sequence:
+     * mixer gain/pan applied to CC7/CC10, transposed pitches, overridden programs,
+     * and no notes at all on channels the mixer silences.
+     */
+    _buildSequence(midi, { transpose, channelMix, programOverrides }) {
+        const builder = new MIDIBuilder({ timeDivision: 960, initialTempo: 120, format: 1, name: midi.name || 'render' });
+        builder.addNewTrack('render');
+        const track = 1; // Track 0 is the conductor track
+        const ticks = (time) => Math.round(time * TICKS_PER_SECOND);
+
+        // Mixer levels for channels the file never sets volume or pan on
+        for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+            builder.addControllerChange(0, track, channel, 7, mixVolume(100, channelMix[channel]));
+            builder.addControllerChange(0, track, channel, 10, mixPan(64, channelMix[channel]));
+        }
+
+        buildMidiEvents(midi).forEach(event => {
+            const channel = event.channel;
+            const mix = channelMix[channel];
+            const at = ticks(event.time);
+
+            if (event.type === 'noteOn' || event.type === 'noteOff') {
+                if (mix.gain === 0) return;
+                const pitch = transposePitch(channel, event.midi, transpose);
+                if (event.type === 'noteOn') {
+                    builder.addNoteOn(at, track, channel, pitch, Math.max(1, Math.round(event.velocity * 127)));
+                } else {
+                    builder.addNoteOff(at, track, channel, pitch);
+                }
+            } else if (event.type === 'controlChange') {
+                let value = event.value;
+                if (event.controller === 7) value = mixVolume(value, mix);
+                else if (event.controller === 10) value = mixPan(value, mix);
+                builder.addControllerChange(at, track, channel, event.controller, value);
+            } else if (event.type === 'pitchBend') {
+                builder.addPitchWheel(at, track, channel, event.value >> 7, event.value & 0x7F);
+            } else if (event.type === 'programChange') {
+                builder.addProgramChange(at, track, channel, programOverrides[channel] ?? event.program);
+            }
+        });
+
+        builder.flush();
+        // A plain BasicMIDI, the builder itself holds a TextEncoder that cannot be posted to the worklet
+        return BasicMIDI.copyFrom(builder);
+    }
+
+    // Peak to just below full scale; the balance between channels is kept
+    _normalize(buffer) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        let peak = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+        });
+        if (peak === 0) return;
+        const gain = PEAK_LEVEL / peak;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) data[i] *= gain;
+        });
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * Web MIDI Output
+ * Sends the playback stream to an external MIDI port: notes, controllers, program changes and
+ * pitch bend with the mixer, transpose and instrument overrides applied, plus MIDI clock (24 PPQ)
+ * with start/stop and song position. It runs its own MidiScheduler on the playing backend's
+ * AudioContext, so it follows the same clock, and stamps messages with the matching
+ * performance.now() time, shifted by the audio output latency so both are heard together.
+ * Pause, stop and seek silence the port with all-notes-off on every channel.
+ * Ports come from navigator.requestMIDIAccess on connect(); a port only needs send(), so a mock works.
+ */
+
+import { MidiScheduler, buildMidiEvents, buildChaseEvents } from './midi-scheduler.js';
+import { MidiTransport } from './midi-transport.js';
+import { transposePitch } from './midi-transpose.js';
+import { CHANNEL_COUNT, createChannelMix, createFileLevels, createProgramOverrides, mixVolume, mixPan } from './midi-mixer.js';
+
+const CLOCKS_PER_BEAT = 24;
+const SIXTEENTHS_PER_BEAT = 4;  // Song position pointer unit
+const MAX_SONG_POSITION = 0x3FFF;
+
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+const SONG_POSITION = 0xF2;
+
+// The program stays null until the file sends one: a port keeps the patch it was set to
+// until then, and clearing an override restores nothing the file did not ask for
+function createOutputLevels() {
+    return createFileLevels().map(levels => ({ ...levels, program: null }));
+}
+
+export class MidiOutput {
+    constructor() {
+        this.access = null;
+        this.port = null;
+        this.audioContext = null;
+        this.scheduler = null;
+        this.midi = null;
+        this.transport = null;
+        this.events = [];           // File events merged with clock pulses and the song end
+        this.sendClock = true;
+        this.isPlaying = false;
+        this.lastClockTime = 0;     // Song time of the last pulse sent, a jump back means a loop wrap
+        this.playbackRate = 1.0;
+        this.loop = null;
+        this.transpose = 0;
+        this.channelMix = createChannelMix();
+        this.fileLevels = createOutputLevels();
+        this.programOverrides = createProgramOverrides();
+        this.onOutputsChangeCallback = null;
+    }
+
+    get isActive() {
+        return this.port !== null;
+    }
+
+    async connect() {
+        if (this.access) return;
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            throw new Error('Bu tarayıcı Web MIDI desteklemiyor');
+        }
+        this.access = await navigator.requestMIDIAccess();
+        this.access.onstatechange = () => {
+            if (this.onOutputsChangeCallback) this.onOutputsChangeCallback(this.getOutputs());
+        };
+        console.log(`🎹 MidiOutput: ${this.getOutputs().length} output(s) available`);
+    }
+
+    // @returns {Array<{id: string, name: string}>}
+    getOutputs() {
+        if (!this.access) return [];
+        return [...this.access.outputs.values()].map(port => ({ id: port.id, name: port.name || port.id }));
+    }
+
+    onOutputsChange(callback) {
+        this.onOutputsChangeCallback = callback;
+    }
+
+    // Port that receives the stream from now on; null stops sending
+    selectOutput(id) {
+        const port = id && this.access ? this.access.outputs.get(id) || null : null;
+        this.setPort(port);
+    }
+
+    setPort(port) {
+        if (port === this.port) return;
+        this.stop();
+        this.port = port;
+        console.log(`🎹 MidiOutput: ${port ? `Sending to ${port.name || port.id}` : 'Off'}`);
+    }
+
+    // The backend's context is the clock; a switch brings a new one
+    setAudioContext(audioContext) {
+        if (audioContext === this.audioContext) return;
+        if (this.scheduler) this.stop();
+        this.audioContext = audioContext;
+        this.scheduler = audioContext ? new MidiScheduler(audioContext) : null;
+        if (!this.scheduler) return;
+        this.scheduler.setRate(this.playbackRate);
+        this.scheduler.setEvents(this.events);
+        if (this.loop) this.scheduler.setLoop(this.loop.start, this.loop.end);
+        this.scheduler.onSchedule = (event, when) => this._sendEvent(event, when);
+    }
+
+    load(midi) {
+        this.stop();
+        this.midi = midi;
+        this.transport = new MidiTransport(midi);
+        this.fileLevels = createOutputLevels();
+        this.events = this._buildEvents(midi);
+        if (this.scheduler) {
+            this.scheduler.setEvents(this.events);
+            if (this.loop) this.scheduler.setLoop(this.loop.start, this.loop.end);
+        }
+    }
+
+    // File events with clock pulses and a song-end marker, in time order
+    _buildEvents(midi) {
+        const events = buildMidiEvents(midi);
+        events.push({ type: 'songEnd', time: midi.duration });
+        if (this.sendClock) {
+            const pulseTicks = this.transport.ppq / CLOCKS_PER_BEAT;
+            const lastTick = this.transport.secondsToTicks(midi.duration);
+            for (let tick = 0; tick < lastTick; tick += pulseTicks) {
+                events.push({ type: 'clock', time: this.transport.ticksToSeconds(tick) });
+            }
+        }
+        // Stable sort keeps the file's own ordering for events at the same time
+        return events.sort((a, b) => a.time - b.time);
+    }
+
+    play(startTime = 0) {
+        if (!this.port || !this.scheduler || !this.midi) return;
+        this.stop();
+        this.isPlaying = true;
+        this.lastClockTime = startTime;
+
+        // Clock-following gear starts at the right bar: Start from zero, else position + Continue
+        if (this.sendClock) {
+            if (startTime <= 0) {
+                this._send([START]);
+            } else {
+                this._send(this._songPosition(startTime));
+                this._send([CONTINUE]);
+            }
+        }
+        this.scheduler.start(startTime, buildChaseEvents(this.events, startTime));
+    }
+
+    pause() {
+        this.stop();
+    }
+
+    stop() {
+        const wasPlaying = this.isPlaying;
+        this.isPlaying = false;
+        this._cancelScheduled();
+        if (wasPlaying) this._silence(true);
+    }
+
+    // Silence, then carry on from the new position if playing
+    seek(time) {
+        if (this.isPlaying) this.play(time);
+        else this._silence(false);
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.scheduler) this.scheduler.setRate(rate);
+    }
+
+    setLoop(start, end) {
+        this.loop = { start, end };
+        if (this.scheduler) this.scheduler.setLoop(start, end);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.scheduler) this.scheduler.clearLoop();
+    }
+
+    // Sounding notes are restarted at the new pitch
+    setTranspose(semitones) {
+        const position = this.isPlaying ? this.scheduler.getSongTime() : null;
+        if (position !== null) this.stop();
+        this.transpose = semitones;
+        if (position !== null) this.play(position);
+    }
+
+    setChannelMix(channel, mix) {
+        this.channelMix[channel] = { ...mix };
+        if (!this.port) return;
+        const levels = this.fileLevels[channel];
+        this._send([0xB0 | channel, 7, mixVolume(levels.volume, mix)]);
+        this._send([0xB0 | channel, 10, mixPan(levels.pan, mix)]);
+    }
+
+    // null goes back to the file's program, if it has sent one yet
+    setChannelProgram(channel, program) {
+        this.programOverrides[channel] = program;
+        const value = program ?? this.fileLevels[channel].program;
+        if (!this.port || value === null) return;
+        this._send([0xC0 | channel, value]);
+    }
+
+    _sendEvent(event, when) {
+        const channel = event.channel;
+        switch (event.type) {
+            case 'noteOn':
+                // CC7 events queued ahead could undo a gain of 0, so muted notes are not sent at all
+                if (this.channelMix[channel].gain === 0) return;
+                this._send([0x90 | channel, this._pitch(event), Math.max(1, Math.round(event.velocity * 127))], when);
+                break;
+            case 'noteOff':
+                this._send([0x80 | channel, this._pitch(event), 0], when);
+                break;
+            case 'controlChange':
+                this._send([0xB0 | channel, event.controller, this._mixController(event)], when);
+                break;
+            case 'pitchBend':
+                this._send([0xE0 | channel, event.value & 0x7F, event.value >> 7], when);
+                break;
+            case 'programChange':
+                this.fileLevels[channel].program = event.program;
+                this._send([0xC0 | channel, this.programOverrides[channel] ?? event.program], when);
+                break;
+            case 'clock':
+                this._sendClock(event, when);
+                break;
+            case 'songEnd':
+                if (this.loop) return; // A loop to the song end wraps instead
+                if (this.sendClock) this._send([STOP], when);
+                this._allNotesOff(when);
+                break;
+        }
+    }
+
+    _sendClock(event, when) {
+        // A loop wrap jumps back: re-sync clock followers to the loop start
+        if (event.time < this.lastClockTime) {
+            this._send([STOP], when);
+            this._send(this._songPosition(event.time), when);
+            this._send([CONTINUE], when);
+        }
+        this.lastClockTime = event.time;
+        this._send([CLOCK], when);
+    }
+
+    _mixController(event) {
+        const levels = this.fileLevels[event.channel];
+        const mix = this.channelMix[event.channel];
+        if (event.controller === 7) {
+            levels.volume = event.value;
+            return mixVolume(event.value, mix);
+        }
+        if (event.controller === 10) {
+            levels.pan = event.value;
+            return mixPan(event.value, mix);
+        }
+        return event.value;
+    }
+
+    _pitch(event) {
+        return transposePitch(event.channel, event.midi, this.transpose);
+    }
+
+    _songPosition(time) {
+        const sixteenths = Math.round(this.transport.secondsToTicks(time) / (this.transport.ppq / SIXTEENTHS_PER_BEAT));
+        const position = Math.max(0, Math.min(MAX_SONG_POSITION, sixteenths));
+        return [SONG_POSITION, position & 0x7F, position >> 7];
+    }
+
+    // Stop the scheduler; notes it already queued on the port get their note-off at the same time
+    _cancelScheduled() {
+        if (!this.scheduler || !this.scheduler.isRunning) return;
+        if (this.port && this.port.clear) this.port.clear();
+        this.scheduler.stop().forEach(({ event, when }) => {
+            if (event.type === 'noteOn') this._send([0x80 | event.channel, this._pitch(event), 0], when);
+        });
+    }
+
+    _silence(stopClock) {
+        if (!this.port) return;
+        if (stopClock && this.sendClock) this._send([STOP]);
+        this._allNotesOff();
+    }
+
+    // Sustain off and All Notes Off on every channel
+    _allNotesOff(when = null) {
+        for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+            this._send([0xB0 | channel, 64, 0], when);
+            this._send([0xB0 | channel, 123, 0], when);
+        }
+    }
+
+    // when is an AudioContext time; without one the message goes out right away
+    _send(data, when = null) {
+        if (!this.port) return;
+        if (when === null || !this.audioContext) {
+            this.port.send(data);
+            return;
+        }
+        const latency = this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+        const delay = (when - this.audioContext.currentTime + latency) * 1000;
+        this.port.send(data, performance.now() + Math.max(0, delay));
+    }
+}
@@ -2,12 +2,17 @@
  * FluidSynth MIDI Player
  * Uses js-synthesizer (FluidSynth WebAssembly) for professional quality MIDI playback
  * Features: 256 polyphony, real SF2 soundfonts, no metallic artifacts
+ * Timing: shared lookahead scheduler, events are sent to the synth when they fall due
  */
 
 import { Synthesizer, waitForReady } from 'js-synthesizer';
-
-// Soundfont path
-const SOUNDFONT_PATH = './soundfonts/FluidR3_GM.sf2';
+// FluidSynth WASM build - must be loaded as a global script before waitForReady()
+import LIBFLUIDSYNTH_URL from 'js-synthesizer/externals/libfluidsynth-2.4.6.js?url';
+import { MidiScheduler, buildMidiEvents, buildChaseEvents } from './midi-scheduler.js';
+import { transposePitch } from './midi-transpose.js';
+import { createChannelMix, createFileLevels, createProgramOverrides, mixVolume, mixPan } from './midi-mixer.js';
+import { parseMidiFile } from './midi-file-parser.js';
+import { AssetPaths, loadAssetBuffer } from './asset-resolver.js';
 
 class FluidMidiPlayer {
     constructor() {
@@ -20,13 +25,25 @@ class FluidMidiPlayer {
         this.currentTime = 0;
         this.duration = 0;
         this.masterVolume = 1.0;
-        this.startTimestamp = 0;
+        this.playbackRate = 1.0;
+        this.loop = null;           // A-B loop region, handed to the scheduler
+        this.transpose = 0;
+        this.channelMix = createChannelMix();   // Mixer gain/pan per channel
+        this.fileLevels = createFileLevels();   // Last CC7/CC10/program the file sent per channel
+        this.programOverrides = createProgramOverrides();
         this.pauseOffset = 0;
-        this.animationFrame = null;
-        this.scheduledEvents = [];
+        this.scheduler = null;
+        this.events = [];
         this.notes = [];
         this.onNoteCallback = null;
         this.mainOutput = null;
+        this.soundBanks = [];        // User banks above the GM set, highest priority first
+        this.userSfontIds = [];      // FluidSynth ids of the loaded user banks
+    }
+
+    // FluidSynth is built without libsndfile: no SF3, and no DLS at all
+    get soundBankFormats() {
+        return ['sf2'];
     }
 
     async init() {
@@ -48,6 +65,9 @@ class FluidMidiPlayer {
         this.mainOutput.connect(this.audioContext.destination);
 
         // Initialize FluidSynth WASM
+        if (typeof window.Module === 'undefined') {
+            await this._loadScript(LIBFLUIDSYNTH_URL);
+        }
         await waitForReady();
         console.log('✅ FluidSynth WASM loaded');
 
@@ -58,21 +78,30 @@ class FluidMidiPlayer {
         // Set synthesizer settings
         this.synth.setGain(0.5); // Moderate gain to prevent clipping
 
-        // Create audio worklet node for real-time audio
-        await this.synth.createAudioNode(this.audioContext);
-        this.audioNode = this.synth.node;
+        // Create script processor node for real-time audio
+        this.audioNode = this.synth.createAudioNode(this.audioContext, 8192);
 
         if (this.audioNode) {
             this.audioNode.connect(this.mainOutput);
             console.log('✅ Audio node connected');
         }
 
-        // Load soundfont
+        // Load soundfont (from the asset cache after the first visit)
         console.log('📦 Loading SoundFont...');
-        const sfResponse = await fetch(SOUNDFONT_PATH);
-        const sfBuffer = await sfResponse.arrayBuffer();
+        const sfBuffer = await loadAssetBuffer(AssetPaths.SOUNDFONT);
         this.sfontId = await this.synth.loadSFont(sfBuffer);
         console.log('✅ SoundFont loaded: FluidR3_GM.sf2');
+        await this._syncSoundBanks();
+
+        // The ScriptProcessor synth has no timed events, so everything is sent once due
+        this.scheduler = new MidiScheduler(this.audioContext);
+        this.scheduler.setRate(this.playbackRate);
+        if (this.loop) this.scheduler.setLoop(this.loop.start, this.loop.end);
+        this.scheduler.onTick = (songTime) => this._onSchedulerTick(songTime);
+        this.scheduler.onDue = (event) => {
+            this._sendEvent(event);
+            this._notifyNote(event);
+        };
 
         console.log(`📊 AudioContext: ${this.audioContext.sampleRate}Hz, ${this.audioContext.state}`);
         console.log('🎛️ FluidSynth: High polyphony, professional quality');
@@ -81,14 +110,23 @@ class FluidMidiPlayer {
         return this.audioContext;
     }
 
+    _loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    }
+
     async loadMidi(file) {
         console.log('📂 Loading MIDI:', file.name);
 
         const arrayBuffer = await file.arrayBuffer();
 
         // Parse MIDI using @tonejs/midi
-        const { Midi } = await import('https://cdn.jsdelivr.net/npm/@tonejs/midi@2.0.28/+esm');
-        this.midi = new Midi(arrayBuffer);
+        this.midi = parseMidiFile(arrayBuffer);
 
         this.duration = this.midi.duration;
         this.currentTime = 0;
@@ -97,6 +135,10 @@ class FluidMidiPlayer {
         // Process notes for visualization
         this._processNotes();
 
+        // Flatten tracks into one sorted event list for the scheduler
+        this.events = buildMidiEvents(this.midi);
+        this.fileLevels = createFileLevels();
+
         console.log(`✅ MIDI loaded: ${this.notes.length} notes, ${this.duration.toFixed(2)}s`);
         console.log(`🎹 Tracks: ${this.midi.tracks.length}`);
 
@@ -140,110 +182,101 @@ class FluidMidiPlayer {
 
         this.isPlaying = true;
         this.isPaused = false;
-        this.startTimestamp = performance.now() - (startTime * 1000);
         this.pauseOffset = startTime;
+        this.currentTime = startTime;
 
-        // Schedule all notes
-        this._scheduleNotes(startTime);
+        // Rebuild program, controller and bend state up to startTime before the first note
+        this.scheduler.setEvents(this.events);
+        this.scheduler.start(startTime, buildChaseEvents(this.events, startTime));
 
         console.log(`▶️ Playing from ${startTime.toFixed(2)}s`);
+    }
 
-        // Start time tracking
-        this._startTimeTracking();
+    _sendEvent(event) {
+        if (event.type === 'noteOn') {
+            const velocity = Math.round(event.velocity * 127);
+            this.synth.midiNoteOn(event.channel, this._pitch(event), velocity);
+        } else if (event.type === 'noteOff') {
+            this.synth.midiNoteOff(event.channel, this._pitch(event));
+        } else if (event.type === 'controlChange') {
+            this.synth.midiControl(event.channel, event.controller, this._mixController(event));
+        } else if (event.type === 'pitchBend') {
+            this.synth.midiPitchBend(event.channel, event.value);
+        } else if (event.type === 'programChange') {
+            this.synth.midiProgramChange(event.channel, this._program(event));
+        }
     }
 
-    _scheduleNotes(fromTime = 0) {
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
+    // Volume and pan pass through the channel mixer, other controllers go out as-is
+    _mixController(event) {
+        const levels = this.fileLevels[event.channel];
+        const mix = this.channelMix[event.channel];
+        if (event.controller === 7) {
+            levels.volume = event.value;
+            return mixVolume(event.value, mix);
+        }
+        if (event.controller === 10) {
+            levels.pan = event.value;
+            return mixPan(event.value, mix);
+        }
+        return event.value;
+    }
 
-        this.midi.tracks.forEach((track, trackIndex) => {
-            const channel = track.channel !== undefined ? track.channel : trackIndex % 16;
+    // Program to play: the channel's override, otherwise the file's own
+    _program(event) {
+        this.fileLevels[event.channel].program = event.program;
+        return this.programOverrides[event.channel] ?? event.program;
+    }
 
-            // Set instrument for this channel
-            if (track.instrument && track.instrument.number !== undefined) {
-                const program = track.instrument.number;
-                this.synth.programChange(channel, program);
-            }
+    _pitch(event) {
+        return transposePitch(event.channel, event.midi, this.transpose);
+    }
 
-            track.notes.forEach(note => {
-                if (note.time < fromTime) return;
-
-                const noteOnDelay = (note.time - fromTime) * 1000;
-                const noteOffDelay = (note.time + note.duration - fromTime) * 1000;
-
-                // Note On
-                const noteOnId = setTimeout(() => {
-                    if (!this.isPlaying) return;
-                    const velocity = Math.round(note.velocity * 127);
-                    this.synth.noteOn(channel, note.midi, velocity);
-
-                    // Callback for visualization
-                    if (this.onNoteCallback) {
-                        this.onNoteCallback({
-                            pitch: note.midi,
-                            velocity: note.velocity,
-                            startTime: note.time,
-                            endTime: note.time + note.duration,
-                            channel: channel
-                        });
-                    }
-                }, noteOnDelay);
-
-                // Note Off
-                const noteOffId = setTimeout(() => {
-                    if (!this.isPlaying) return;
-                    this.synth.noteOff(channel, note.midi);
-                }, noteOffDelay);
-
-                this.scheduledEvents.push(noteOnId, noteOffId);
-            });
+    // Callback for visualization
+    _notifyNote(event) {
+        if (event.type !== 'noteOn' || !this.onNoteCallback) return;
+        const note = event.note;
+        this.onNoteCallback({
+            pitch: this._pitch(event),
+            velocity: note.velocity,
+            startTime: note.time,
+            endTime: note.time + note.duration,
+            channel: event.channel
         });
-
-        console.log(`📅 Scheduled ${this.scheduledEvents.length / 2} notes`);
     }
 
-    _startTimeTracking() {
-        const updateTime = () => {
-            if (!this.isPlaying) return;
-
-            const elapsed = (performance.now() - this.startTimestamp) / 1000;
-            this.currentTime = Math.min(elapsed, this.duration);
-
-            if (this.currentTime >= this.duration) {
-                this.isPlaying = false;
-                this._allNotesOff();
-                console.log('🏁 Playback finished');
-                return;
-            }
+    // Scheduler wakeups run on a timer, so the song end is noticed in hidden tabs too
+    _onSchedulerTick(songTime) {
+        if (!this.isPlaying) return;
 
-            this.animationFrame = requestAnimationFrame(updateTime);
-        };
+        this.currentTime = Math.min(songTime, this.duration);
 
-        updateTime();
+        if (this.currentTime >= this.duration) {
+            this.isPlaying = false;
+            this.scheduler.stop();
+            this._allNotesOff();
+            console.log('🏁 Playback finished');
+        }
     }
 
     _allNotesOff() {
         // Turn off all notes on all channels
-        for (let ch = 0; ch < 16; ch++) {
-            this.synth.allNotesOff(ch);
+        if (this.synth) {
+            this.synth.midiAllNotesOff();
         }
     }
 
     pause() {
         if (!this.isPlaying) return;
 
+        this.currentTime = this.scheduler.getSongTime();
+        this.scheduler.stop();
         this._allNotesOff();
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
 
         this.isPaused = true;
         this.isPlaying = false;
         this.pauseOffset = this.currentTime;
 
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
-
         console.log(`⏸️ Paused at ${this.currentTime.toFixed(2)}s`);
     }
 
@@ -253,18 +286,13 @@ class FluidMidiPlayer {
     }
 
     stop() {
+        if (this.scheduler) this.scheduler.stop();
         this._allNotesOff();
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
 
         this.isPlaying = false;
         this.isPaused = false;
         this.currentTime = 0;
         this.pauseOffset = 0;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
     }
 
     seek(time) {
@@ -289,8 +317,76 @@ class FluidMidiPlayer {
         }
     }
 
+    // Tempo factor: event times stretch, pitch stays
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.scheduler) this.scheduler.setRate(rate);
+    }
+
+    // A-B loop region in song seconds, wrapped by the scheduler without a gap
+    setLoop(start, end) {
+        this.loop = { start, end };
+        if (this.scheduler) this.scheduler.setLoop(start, end);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.scheduler) this.scheduler.clearLoop();
+    }
+
+    // Semitone shift for every non-drum note; sounding notes are restarted at the new pitch
+    setTranspose(semitones) {
+        if (this.isPlaying) {
+            const position = this.getCurrentTime();
+            this.stop();
+            this.transpose = semitones;
+            this.play(position);
+        } else {
+            this.transpose = semitones;
+        }
+    }
+
+    // Mixer gain (0 = muted) and pan offset for one channel
+    setChannelMix(channel, mix) {
+        this.channelMix[channel] = { ...mix };
+        if (!this.synth) return;
+        const levels = this.fileLevels[channel];
+        this.synth.midiControl(channel, 7, mixVolume(levels.volume, mix));
+        this.synth.midiControl(channel, 10, mixPan(levels.pan, mix));
+    }
+
+    // Instrument override for one channel (null restores the file's program)
+    setChannelProgram(channel, program) {
+        this.programOverrides[channel] = program;
+        if (!this.synth) return;
+        this.synth.midiProgramChange(channel, program ?? this.fileLevels[channel].program);
+    }
+
+    /**
+     * User banks layered over the GM set, loaded into the running synth.
+     * @param {Array<{id: string, buffer: ArrayBuffer}>} banks - highest priority first, SF2 only
+     */
+    async setSoundBanks(banks) {
+        this.soundBanks = banks;
+        if (this.synth) await this._syncSoundBanks();
+    }
+
+    // FluidSynth searches the most recently loaded font first, so the stack is rebuilt bottom-up
+    async _syncSoundBanks() {
+        this.userSfontIds.forEach(id => this.synth.unloadSFont(id));
+        this.userSfontIds = [];
+        for (const bank of [...this.soundBanks].reverse()) {
+            this.userSfontIds.push(await this.synth.loadSFont(bank.buffer));
+        }
+
+        for (let channel = 0; channel < this.fileLevels.length; channel++) {
+            this.synth.midiProgramChange(channel, this.programOverrides[channel] ?? this.fileLevels[channel].program);
+        }
+    }
+
+    // Read from the audio clock while playing, so it never lags behind in a hidden tab
     getCurrentTime() {
-        return this.currentTime;
+        return this.isPlaying ? Math.min(this.scheduler.getSongTime(), this.duration) : this.currentTime;
     }
 
     getDuration() {
@@ -313,6 +409,15 @@ class FluidMidiPlayer {
         return this.audioContext;
     }
 
+    // Release the synth and audio graph (AudioContext is closed by the manager)
+    dispose() {
+        this.stop();
+        if (this.audioNode) this.audioNode.disconnect();
+        if (this.synth) this.synth.close();
+        this.audioNode = null;
+        this.synth = null;
+    }
+
     // For visualization - returns processed notes
     getNotes() {
         return this.notes;
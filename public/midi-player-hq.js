@@ -2,14 +2,28 @@
  * High Quality MIDI Player
  * Uses Magenta.js SoundFontPlayer for professional quality audio
  * SGM+ SoundFont - Studio quality General MIDI sounds
+ * Notes only: Magenta plays a NoteSequence, so the file's controllers (sustain, volume,
+ * expression, pan) and pitch bends are not heard and nothing is chased on a seek.
+ * The settings panel marks this backend accordingly (MidiPlayerManager.supportsControllers).
  */
 
-// SoundFont URLs - High quality options
+import { transposePitch, DRUM_CHANNEL } from './midi-transpose.js';
+import { createChannelMix, createProgramOverrides } from './midi-mixer.js';
+import { parseMidiFile } from './midi-file-parser.js';
+import { AssetPaths, resolveAsset, loadAssetScript, loadAssetJson } from './asset-resolver.js';
+
+// Local Magenta SoundFonts - High quality options
 const SOUNDFONTS = {
-    sgm_plus: 'https://storage.googleapis.com/magentadata/js/soundfonts/sgm_plus',
-    salamander: 'https://storage.googleapis.com/magentadata/js/soundfonts/salamander'
+    sgm_plus: resolveAsset(AssetPaths.MAGENTA_SOUNDFONTS, 'sgm_plus'),
+    salamander: resolveAsset(AssetPaths.MAGENTA_SOUNDFONTS, 'salamander')
 };
 
+let magentaLoading = null; // Shared by every instance, the scripts define page globals
+
+// Position update period in ms. A timer, not requestAnimationFrame: rAF stops in hidden tabs,
+// and the song end and loop restart must still happen there
+const TIME_UPDATE_INTERVAL = 25;
+
 class HQMidiPlayer {
     constructor() {
         this.player = null;
@@ -20,52 +34,46 @@ class HQMidiPlayer {
         this.currentTime = 0;
         this.duration = 0;
         this.masterVolume = 1.0;
+        this.playbackRate = 1.0;
+        this.loop = null;             // A-B loop region in song seconds
+        this.transpose = 0;
+        this.channelMix = createChannelMix();
+        this.programOverrides = createProgramOverrides();
+        this.instrumentChannels = []; // Magenta instrument index -> MIDI channel
+        this.mixRestartPending = false;
         this.audioContext = null;
         this.onNoteCallback = null;
-        this.animationFrame = null;
+        this.timeTimer = null;        // setInterval id of the position updates
         this.startTimestamp = 0;
         this.pauseOffset = 0;
 
-        // Load Magenta core library
-        this._loadMagenta();
+        // Load Magenta core library early, init() reports a failure
+        this._loadMagenta().catch(() => { });
     }
 
-    async _loadMagenta() {
-        if (window.core) {
-            console.log('✅ Magenta.js already loaded');
-            return;
+    _loadMagenta() {
+        if (window.core) return Promise.resolve();
+        if (!magentaLoading) {
+            magentaLoading = this._loadMagentaScripts().catch((e) => {
+                magentaLoading = null; // Let the next init retry, e.g. after the mirror is filled
+                throw e;
+            });
         }
+        return magentaLoading;
+    }
 
+    async _loadMagentaScripts() {
         console.log('📦 Loading Tone.js + Magenta.js...');
 
         // Load Tone.js first (required by Magenta)
         if (!window.Tone) {
-            await new Promise((resolve, reject) => {
-                const toneScript = document.createElement('script');
-                toneScript.src = 'https://cdn.jsdelivr.net/npm/tone@14.7.58';
-                toneScript.onload = () => {
-                    console.log('✅ Tone.js loaded');
-                    resolve();
-                };
-                toneScript.onerror = reject;
-                document.head.appendChild(toneScript);
-            });
+            await loadAssetScript(AssetPaths.TONE_14);
+            console.log('✅ Tone.js loaded');
         }
 
         // Then load Magenta.js
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/es6/core.js';
-            script.onload = () => {
-                console.log('✅ Magenta.js loaded successfully');
-                resolve();
-            };
-            script.onerror = (err) => {
-                console.error('❌ Failed to load Magenta.js', err);
-                reject(err);
-            };
-            document.head.appendChild(script);
-        });
+        await loadAssetScript(AssetPaths.MAGENTA_CORE);
+        console.log('✅ Magenta.js loaded successfully');
     }
 
     async init() {
@@ -74,6 +82,11 @@ class HQMidiPlayer {
         // Wait for Magenta to load
         await this._loadMagenta();
 
+        // A previous HQ session's context may have been closed by a player switch
+        if (Tone.context.rawContext.state === 'closed') {
+            Tone.setContext(new Tone.Context());
+        }
+
         // Initialize audio using Tone.js context
         await Tone.start();
         this.audioContext = Tone.context.rawContext;
@@ -88,6 +101,9 @@ class HQMidiPlayer {
 
         console.log(`📊 AudioContext: ${this.audioContext.sampleRate}Hz, ${this.audioContext.state}`);
 
+        // Magenta fetches samples itself, so check the local SoundFont is there before using it
+        await loadAssetJson(resolveAsset(SOUNDFONTS.sgm_plus, 'soundfont.json'));
+
         // Initialize SoundFont player with SGM+ (high quality)
         // Pass undefined for output to let Magenta handle routing
         this.player = new core.SoundFontPlayer(SOUNDFONTS.sgm_plus);
@@ -111,8 +127,10 @@ class HQMidiPlayer {
         this.noteSequence = await core.urlToNoteSequence(URL.createObjectURL(new Blob([arrayBuffer])));
 
         // Store raw MIDI data for visualization
-        const { Midi } = await import('https://cdn.jsdelivr.net/npm/@tonejs/midi@2.0.28/+esm');
-        this.midi = new Midi(arrayBuffer);
+        this.midi = parseMidiFile(arrayBuffer);
+
+        // Magenta numbers the tracks that have notes, in file order
+        this.instrumentChannels = this.midi.tracks.filter(t => t.notes.length > 0).map(t => t.channel);
 
         this.duration = this.noteSequence.totalTime;
         this.currentTime = 0;
@@ -129,13 +147,14 @@ class HQMidiPlayer {
     }
 
     _onNote(note) {
-        // Callback for each note - used for visualization
+        // Callback for each note - used for visualization; sliced sequence times map back to song time
         if (this.onNoteCallback) {
             this.onNoteCallback({
                 pitch: note.pitch,
-                velocity: note.velocity,
-                startTime: note.startTime,
-                endTime: note.endTime,
+                velocity: note.velocity / 127,
+                startTime: this.pauseOffset + note.startTime * this.playbackRate,
+                endTime: this.pauseOffset + note.endTime * this.playbackRate,
+                channel: this._channelOf(note),
                 program: note.program || 0
             });
         }
@@ -152,80 +171,102 @@ class HQMidiPlayer {
             await this.audioContext.resume();
         }
 
-        // Load instruments (if not already loaded)
+        // Sliced, time-stretched, transposed, reassigned and mixed copy of the sequence
+        const sequenceToPlay = this._sliceSequence(this.noteSequence, startTime, this.playbackRate);
+
+        // Load instruments (if not already loaded), overridden programs included
         console.log('🎻 Loading SoundFont instruments...');
-        await this.player.loadSamples(this.noteSequence);
+        await this.player.loadSamples(sequenceToPlay);
         console.log('✅ All instruments loaded');
 
         // Start playback
         this.isPlaying = true;
         this.isPaused = false;
-        this.startTimestamp = performance.now() - (startTime * 1000);
+        this.startTimestamp = performance.now();
         this.pauseOffset = startTime;
 
-        // Create a sliced sequence if starting from specific time
-        let sequenceToPlay = this.noteSequence;
-        if (startTime > 0) {
-            sequenceToPlay = this._sliceSequence(this.noteSequence, startTime);
-        }
-
         console.log(`▶️ Playing from ${startTime.toFixed(2)}s`);
 
-        // Start the player
-        this.player.start(sequenceToPlay).then(() => {
-            console.log('🏁 Playback finished');
-            this.isPlaying = false;
-        });
+        // Start the player; the position timer ends playback at the song's duration
+        this.player.start(sequenceToPlay);
 
         // Start time tracking
         this._startTimeTracking();
     }
 
-    _sliceSequence(seq, fromTime) {
-        // Create a new sequence starting from the specified time
+    _sliceSequence(seq, fromTime, rate = 1) {
+        // Create a new sequence starting from the specified time, times divided by the playback rate
         const newSeq = {
             ...seq,
             notes: seq.notes
-                .filter(n => n.endTime > fromTime)
+                .filter(n => n.endTime > fromTime && this._mixFor(n).gain > 0)
                 .map(n => ({
                     ...n,
-                    startTime: Math.max(0, n.startTime - fromTime),
-                    endTime: n.endTime - fromTime
+                    velocity: Math.round((n.velocity ?? 100) * this._mixFor(n).gain),
+                    pitch: transposePitch(n.isDrum ? DRUM_CHANNEL : null, n.pitch, this.transpose),
+                    program: n.isDrum ? n.program : (this.programOverrides[this._channelOf(n)] ?? n.program),
+                    startTime: Math.max(0, n.startTime - fromTime) / rate,
+                    endTime: (n.endTime - fromTime) / rate
                 })),
-            totalTime: seq.totalTime - fromTime
+            totalTime: (seq.totalTime - fromTime) / rate
         };
         return newSeq;
     }
 
+    _channelOf(note) {
+        return this.instrumentChannels[note.instrument] ?? 0;
+    }
+
+    _mixFor(note) {
+        return this.channelMix[this._channelOf(note)];
+    }
+
     _startTimeTracking() {
-        const updateTime = () => {
-            if (!this.isPlaying) return;
+        this._stopTimeTracking();
+        this.timeTimer = setInterval(() => this._updateTime(), TIME_UPDATE_INTERVAL);
+        this._updateTime();
+    }
+
+    _stopTimeTracking() {
+        if (this.timeTimer !== null) clearInterval(this.timeTimer);
+        this.timeTimer = null;
+    }
 
-            const elapsed = (performance.now() - this.startTimestamp) / 1000;
-            this.currentTime = Math.min(elapsed, this.duration);
+    _songTime() {
+        const elapsed = (performance.now() - this.startTimestamp) / 1000;
+        return Math.min(this.pauseOffset + elapsed * this.playbackRate, this.duration);
+    }
 
-            if (this.currentTime >= this.duration) {
-                this.isPlaying = false;
-                return;
-            }
+    _updateTime() {
+        if (!this.isPlaying) {
+            this._stopTimeTracking();
+            return;
+        }
 
-            this.animationFrame = requestAnimationFrame(updateTime);
-        };
+        this.currentTime = this._songTime();
+
+        // Magenta cannot wrap a running sequence, so the loop restarts it from the loop start
+        if (this.loop && this.pauseOffset < this.loop.end && this.currentTime >= this.loop.end) {
+            this.seek(this.loop.start);
+            return;
+        }
 
-        updateTime();
+        if (this.currentTime >= this.duration) {
+            this.isPlaying = false;
+            this._stopTimeTracking();
+            console.log('🏁 Playback finished');
+        }
     }
 
     pause() {
         if (!this.isPlaying) return;
 
+        this.currentTime = this._songTime();
         this.player.stop();
         this.isPaused = true;
         this.isPlaying = false;
         this.pauseOffset = this.currentTime;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
+        this._stopTimeTracking();
 
         console.log(`⏸️ Paused at ${this.currentTime.toFixed(2)}s`);
     }
@@ -241,10 +282,7 @@ class HQMidiPlayer {
         this.isPaused = false;
         this.currentTime = 0;
         this.pauseOffset = 0;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
+        this._stopTimeTracking();
 
         console.log('⏹️ Stopped');
     }
@@ -269,8 +307,57 @@ class HQMidiPlayer {
         }
     }
 
+    // Magenta plays a fixed sequence, so a new rate restarts it from the current position
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.isPlaying) {
+            this.seek(this.currentTime);
+        }
+    }
+
+    setLoop(start, end) {
+        this.loop = { start, end };
+    }
+
+    clearLoop() {
+        this.loop = null;
+    }
+
+    // Semitone shift for every non-drum note, restarts the sequence like a rate change
+    setTranspose(semitones) {
+        this.transpose = semitones;
+        if (this.isPlaying) {
+            this.seek(this.currentTime);
+        }
+    }
+
+    // Magenta has no per-channel output: mixer gain scales velocities (pan is not supported)
+    setChannelMix(channel, mix) {
+        const current = this.channelMix[channel];
+        if (current.gain === mix.gain && current.pan === mix.pan) return;
+        this.channelMix[channel] = { ...mix };
+
+        // The manager updates channels one by one, restart once for the whole batch
+        if (this.isPlaying && !this.mixRestartPending) {
+            this.mixRestartPending = true;
+            queueMicrotask(() => {
+                this.mixRestartPending = false;
+                if (this.isPlaying) this.seek(this.currentTime);
+            });
+        }
+    }
+
+    // Instrument override for one channel (null restores the file's program), restarts like a rate change
+    setChannelProgram(channel, program) {
+        this.programOverrides[channel] = program;
+        if (this.isPlaying) {
+            this.seek(this.currentTime);
+        }
+    }
+
+    // Read from the clock while playing, so it never lags behind in a hidden tab
     getCurrentTime() {
-        return this.currentTime;
+        return this.isPlaying ? this._songTime() : this.currentTime;
     }
 
     getDuration() {
@@ -293,6 +380,14 @@ class HQMidiPlayer {
     getAudioContext() {
         return this.audioContext;
     }
+
+    // Release the output node (AudioContext is closed by the manager)
+    dispose() {
+        this.stop();
+        if (this.mainOutput) this.mainOutput.dispose();
+        this.mainOutput = null;
+        this.player = null;
+    }
 }
 
 // Export for use
@@ -1,25 +1,49 @@
+import { MidiTransport } from './midi-transport.js';
+import { clampTranspose, DRUM_CHANNEL } from './midi-transpose.js';
+import { CHANNEL_COUNT, createProgramOverrides } from './midi-mixer.js';
+import { SoundBankLibrary } from './soundbank-library.js';
+import { MidiOutput } from './midi-output.js';
+import { TypedEventEmitter, PlaybackEvent } from './playback-events.js';
+
+// localStorage prefix for per-file instrument overrides
+const PROGRAM_STORAGE_PREFIX = 'musicvirt.programs:';
+
+// Shortest A-B loop, and the gap kept before the song end so a loop to the end never reads as "finished"
+const MIN_LOOP_LENGTH = 0.1;
+const LOOP_END_MARGIN = 0.01;
+
+// Playback watch period in ms. A timer, not requestAnimationFrame: rAF stops in hidden tabs,
+// and a track ending in the background must still emit ended so the queue moves on
+const WATCH_INTERVAL = 25;
+
 /**
  * MIDI Player Manager - Unified Interface
  * 
  * This is a facade/adapter that provides a unified API for all MIDI players.
  * app.js only interacts with this manager, never directly with individual players.
  * 
- * To switch players, just change the ACTIVE_PLAYER constant.
+ * ACTIVE_PLAYER is the startup default; switchPlayer() swaps backends at runtime.
+ * Lifecycle events (see playback-events.js) are emitted the same way for every backend:
+ * notes come from the backend's onNote callback, note-offs, tempo changes and the song end
+ * from a watch timer that runs while playing.
  */
 
 // Available player types
 export const PlayerType = {
     WAF: 'waf',           // WebAudioFont (simple, CDN-based)
     SPESSA: 'spessa',     // SpessaSynth (High Quality, SoundFont2)
+    FLUID: 'fluid',       // FluidSynth WASM via js-synthesizer (SoundFont2)
+    HQ: 'hq',             // Magenta.js SoundFontPlayer (SGM+)
     MIDI_HANDLER: 'midi'  // Original Tone.js handler (fallback)
 };
 
-// ===== CHANGE THIS TO SWITCH PLAYERS =====
+// ===== DEFAULT PLAYER AT STARTUP =====
 const ACTIVE_PLAYER = PlayerType.SPESSA;
-// ==========================================
+// ======================================
 
-class MidiPlayerManager {
+class MidiPlayerManager extends TypedEventEmitter {
     constructor() {
+        super();
         this.player = null;
         this.playerType = ACTIVE_PLAYER;
         this.isInitialized = false;
@@ -28,11 +52,26 @@ class MidiPlayerManager {
         this.audioContext = null;
         this.mainOutput = null;
         this.midi = null;
+        this.transport = null;    // Tempo map of the loaded file, independent of the backend
         this.duration = 0;
         this.currentTime = 0;
         this.isPlaying = false;
         this.isPaused = false;
-        this.onNoteCallback = null;
+        this.soundingNotes = [];  // Notes reported by the backend that have not had their noteOff yet
+        this.watchTimer = null;   // setInterval id of the playback watch loop
+        this.watchTime = 0;       // Song time seen by the last watch frame
+        this.bpm = null;          // Tempo last reported with tempoChange
+        this.volume = null;       // Last volume set by the app, re-applied after a switch
+        this.playbackRate = 1.0;  // Tempo factor, re-applied after a switch
+        this.transpose = 0;       // Semitones for non-drum notes, re-applied after a switch
+        this.loop = null;         // A-B loop region { start, end } in song seconds, re-applied after a switch
+        this.mixer = this._createMixer(); // Per-channel mute/solo/volume/pan, re-applied after a switch
+        this.programOverrides = createProgramOverrides(); // GM program per channel, saved per file
+        this.soundBanks = new SoundBankLibrary();  // User SF2/SF3/DLS banks, re-applied after a switch
+        this.currentFile = null;  // Last loaded file, reloaded into a new backend on switch
+        this.isSwitching = false;
+        this.midiOutput = new MidiOutput(); // External Web MIDI port fed alongside the backend
+        this.outputReplacesSynth = false;   // Silence the internal synth while a port is selected
     }
 
     async init() {
@@ -40,27 +79,29 @@ class MidiPlayerManager {
 
         console.log(`🎵 MidiPlayerManager: Initializing ${this.playerType} player...`);
 
-        switch (this.playerType) {
-            case PlayerType.WAF:
-                const { WebAudioFontPlayer } = await import('./midi-player-waf.js');
-                this.player = new WebAudioFontPlayer();
-                break;
-            case PlayerType.SPESSA:
-                const { SpessaMidiPlayer } = await import('./midi-player-spessa.js');
-                this.player = new SpessaMidiPlayer();
-                break;
-            case PlayerType.MIDI_HANDLER:
-            default:
-                const { MidiHandler } = await import('./midi-handler.js');
-                this.player = new MidiHandler();
-                break;
-        }
-
+        this.player = await this._createPlayer(this.playerType);
         await this.player.init();
 
+        if (this.player.onNote) {
+            this.player.onNote((note) => this._onBackendNote(note));
+        }
+        this._applyVolume();
+        if (this.player.setPlaybackRate) {
+            this.player.setPlaybackRate(this.playbackRate);
+        }
+        if (this.player.setTranspose) {
+            this.player.setTranspose(this.transpose);
+        }
+        if (this.loop && this.player.setLoop) {
+            this.player.setLoop(this.loop.start, this.loop.end);
+        }
+        this._applyMixer();
+        await this._applySoundBanks();
+
         // Get unified references
         this.audioContext = this.player.audioContext || this.player.getAudioContext?.();
         this.mainOutput = this.player.mainOutput;
+        this.midiOutput.setAudioContext(this.audioContext);
 
         this.isInitialized = true;
         console.log(`✅ MidiPlayerManager: ${this.playerType} ready`);
@@ -68,16 +109,144 @@ class MidiPlayerManager {
         return this.audioContext;
     }
 
-    async loadMidi(file) {
-        if (!this.isInitialized) {
-            await this.init();
+    async _createPlayer(type) {
+        switch (type) {
+            case PlayerType.WAF: {
+                const { WebAudioFontPlayer } = await import('./midi-player-waf.js');
+                return new WebAudioFontPlayer();
+            }
+            case PlayerType.SPESSA: {
+                const { SpessaMidiPlayer } = await import('./midi-player-spessa.js');
+                return new SpessaMidiPlayer();
+            }
+            case PlayerType.FLUID: {
+                const { FluidMidiPlayer } = await import('./midi-player-fluid.js');
+                return new FluidMidiPlayer();
+            }
+            case PlayerType.HQ: {
+                const { HQMidiPlayer } = await import('./midi-player-hq.js');
+                return new HQMidiPlayer();
+            }
+            case PlayerType.MIDI_HANDLER:
+            default: {
+                const { MidiHandler } = await import('./midi-handler.js');
+                return new MidiHandler();
+            }
+        }
+    }
+
+    /**
+     * Hot-swap the playback backend.
+     * Tears down the current player and its AudioContext, then reloads the
+     * current MIDI into the new player and resumes at the same position.
+     */
+    async switchPlayer(type) {
+        if (!Object.values(PlayerType).includes(type)) {
+            throw new Error(`Unknown player type: ${type}`);
+        }
+        if (type === this.playerType || this.isSwitching) return;
+
+        const previousType = this.playerType;
+        const position = this.getCurrentTime();
+        const wasPlaying = this.getIsPlaying();
+        const wasPaused = this.isPaused;
+
+        console.log(`🔀 MidiPlayerManager: Switching ${previousType} → ${type} at ${position.toFixed(2)}s`);
+        this.isSwitching = true;
+
+        try {
+            await this._teardownPlayer();
+            this.playerType = type;
+
+            // Nothing loaded yet: the new backend is created lazily on the next loadMidi()
+            if (!this.currentFile) return;
+
+            await this._restoreSession(position, wasPlaying, wasPaused);
+        } catch (error) {
+            console.error(`❌ MidiPlayerManager: Switch to ${type} failed, restoring ${previousType}`, error);
+            await this._teardownPlayer();
+            this.playerType = previousType;
+            if (this.currentFile) {
+                await this._restoreSession(position, wasPlaying, wasPaused);
+            }
+            throw error;
+        } finally {
+            this.isSwitching = false;
+        }
+    }
+
+    async _restoreSession(position, wasPlaying, wasPaused) {
+        await this.init();
+        await this.loadMidi(this.currentFile);
+
+        if (wasPlaying) {
+            await this.play(position);
+        } else if (position > 0) {
+            this.seek(position);
+            this.isPaused = wasPaused;
         }
+    }
+
+    async _teardownPlayer() {
+        const player = this.player;
+        const context = this.getAudioContext();
+
+        this.player = null;
+        this.isInitialized = false;
+        this.audioContext = null;
+        this.mainOutput = null;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this._stopWatch();
+        this.midiOutput.setAudioContext(null);
+
+        if (!player) return;
 
         try {
-            const result = await this.player.loadMidi(file);
+            player.stop();
+            if (player.dispose) player.dispose();
+        } catch (e) {
+            console.warn('⚠️ MidiPlayerManager: Player teardown error:', e);
+        }
 
+        if (context && context.state !== 'closed') {
+            try {
+                await context.close();
+            } catch (e) {
+                console.warn('⚠️ MidiPlayerManager: AudioContext close failed:', e);
+            }
+        }
+    }
+
+    async loadMidi(file) {
+        try {
+            // A backend whose local assets are missing fails here, with the path in the message
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            // The Tone.js MidiHandler names its loader loadMidiFile()
+            const result = this.player.loadMidi
+                ? await this.player.loadMidi(file)
+                : await this.player.loadMidiFile(file);
+            // A new file starts with a flat mixer and its saved instruments; a backend switch keeps both
+            if (file !== this.currentFile) {
+                this.mixer = this._createMixer();
+                this.programOverrides = this._loadProgramOverrides(file);
+                this.clearLoop();
+            }
+            this.currentFile = file;
+
+            // The output loads first, so channels without an override send no program of the previous file
             this.midi = result.midi || this.player.midi;
+            this.transport = this.midi ? new MidiTransport(this.midi) : null;
+            if (this.midi) this.midiOutput.load(this.midi);
+            this._applyMixer();
+            await this._applyProgramOverrides();
+
             this.duration = result.duration || this.player.duration || this.midi?.duration || 0;
+            this.bpm = null;
+            this.emit(PlaybackEvent.LOADED, { file, duration: this.duration });
 
             return {
                 midi: this.midi,
@@ -86,7 +255,7 @@ class MidiPlayerManager {
             };
         } catch (error) {
             console.error('❌ MidiPlayerManager Error:', error);
-            alert(error.message); // Alert user immediately
+            this.emit(PlaybackEvent.ERROR, { error });
             throw error; // Rethrow to stop playback in app.js
         }
     }
@@ -94,8 +263,11 @@ class MidiPlayerManager {
     async play(startTime = 0) {
         if (!this.player) return;
         await this.player.play(startTime);
+        this.midiOutput.play(startTime);
         this.isPlaying = true;
         this.isPaused = false;
+        this.emit(PlaybackEvent.PLAY, { time: startTime });
+        this._startWatch(startTime);
     }
 
     pause() {
@@ -103,30 +275,41 @@ class MidiPlayerManager {
         if (this.player.pause) {
             this.player.pause();
         }
+        this.midiOutput.pause();
         this.isPlaying = false;
         this.isPaused = true;
+        this._stopWatch();
+        this.emit(PlaybackEvent.PAUSE, { time: this.getCurrentTime() });
     }
 
     resume() {
         if (!this.player) return;
-        if (this.player.resume) {
+        // Players drop their paused flag on seek, so only use resume() while it still applies
+        if (this.player.resume && this.player.isPaused) {
             this.player.resume();
         } else {
             this.player.play(this.getCurrentTime());
         }
+        const time = this.getCurrentTime();
+        this.midiOutput.play(time);
         this.isPlaying = true;
         this.isPaused = false;
+        this.emit(PlaybackEvent.PLAY, { time });
+        this._startWatch(time);
     }
 
     stop() {
         if (!this.player) return;
         this.player.stop();
+        this.midiOutput.stop();
         this.isPlaying = false;
         this.isPaused = false;
+        this._stopWatch();
     }
 
     seek(time) {
         if (!this.player) return;
+        this.midiOutput.seek(time);
         if (this.player.seek) {
             this.player.seek(time);
         } else {
@@ -134,15 +317,368 @@ class MidiPlayerManager {
             this.player.stop();
             this.player.play(time);
         }
+        this._releaseNotes();
+        this.watchTime = time;
+        this.emit(PlaybackEvent.SEEK, { time });
     }
 
     setVolume(value) {
-        if (!this.player) return;
-        if (this.player.setVolume) {
-            this.player.setVolume(value);
+        this.volume = value;
+        this._applyVolume();
+    }
+
+    // The app's volume, or silence while an external port stands in for the synth
+    _applyVolume() {
+        if (!this.player || !this.player.setVolume) return;
+        if (this.outputReplacesSynth && this.midiOutput.isActive) {
+            this.player.setVolume(0);
+        } else if (this.volume !== null) {
+            this.player.setVolume(this.volume);
+        } else if (this.outputReplacesSynth) {
+            this.player.setVolume(1); // Unmuted again before the app ever set a volume
+        }
+    }
+
+    /**
+     * Playback speed without pitch change (0.25 - 2, 1 = original tempo).
+     * Times reported by the manager stay in song seconds, so progress and visualizers keep in sync.
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = Math.max(0.25, Math.min(2, rate));
+        if (this.player && this.player.setPlaybackRate) {
+            this.player.setPlaybackRate(this.playbackRate);
+        }
+        this.midiOutput.setPlaybackRate(this.playbackRate);
+    }
+
+    getPlaybackRate() {
+        return this.playbackRate;
+    }
+
+    // Global transpose in semitones (-12..12); channel 9 percussion is never shifted
+    setTranspose(semitones) {
+        this.transpose = clampTranspose(semitones);
+        if (this.player && this.player.setTranspose) {
+            this.player.setTranspose(this.transpose);
+        }
+        this.midiOutput.setTranspose(this.transpose);
+    }
+
+    getTranspose() {
+        return this.transpose;
+    }
+
+    // ===== A-B Loop =====
+
+    /**
+     * Repeat the song region between start and end (seconds) until cleared.
+     * Scheduler-based backends wrap without a gap; Magenta and Tone.js restart at the loop start.
+     * If playback is already past the new loop end, it jumps to the loop start.
+     * @returns {{start: number, end: number}|null} the region actually set, null if too short
+     */
+    setLoop(start, end) {
+        const duration = this.getDuration();
+        const from = Math.max(0, Math.min(start, end));
+        const to = Math.min(Math.max(start, end), duration > 0 ? duration - LOOP_END_MARGIN : Infinity);
+        if (to - from < MIN_LOOP_LENGTH) return null;
+
+        this.loop = { start: from, end: to };
+        if (this.player && this.player.setLoop) {
+            this.player.setLoop(from, to);
+        }
+        this.midiOutput.setLoop(from, to);
+        if (this.getIsPlaying() && this.getCurrentTime() >= to) {
+            this.seek(from);
+        }
+        return { ...this.loop };
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.player && this.player.clearLoop) {
+            this.player.clearLoop();
+        }
+        this.midiOutput.clearLoop();
+    }
+
+    getLoop() {
+        return this.loop ? { ...this.loop } : null;
+    }
+
+    // ===== Channel Mixer =====
+
+    _createMixer() {
+        return Array.from({ length: CHANNEL_COUNT }, () => ({ mute: false, solo: false, volume: 1, pan: 0 }));
+    }
+
+    getChannelMix(channel) {
+        return { ...this.mixer[channel] };
+    }
+
+    setChannelMute(channel, mute) {
+        this.mixer[channel].mute = mute;
+        this._applyMixer();
+    }
+
+    setChannelSolo(channel, solo) {
+        this.mixer[channel].solo = solo;
+        this._applyMixer();
+    }
+
+    // 0..1, scales the channel's own volume
+    setChannelVolume(channel, volume) {
+        this.mixer[channel].volume = Math.max(0, Math.min(1, volume));
+        this._applyMixer(channel);
+    }
+
+    // -1..1, offsets the channel's own pan
+    setChannelPan(channel, pan) {
+        this.mixer[channel].pan = Math.max(-1, Math.min(1, pan));
+        this._applyMixer(channel);
+    }
+
+    resetMixer() {
+        this.mixer = this._createMixer();
+        this._applyMixer();
+    }
+
+    // False when muted, or when another channel is soloed
+    isChannelAudible(channel) {
+        const strip = this.mixer[channel];
+        if (!strip) return true;
+        const anySolo = this.mixer.some(s => s.solo);
+        return !strip.mute && (!anySolo || strip.solo);
+    }
+
+    // Gain (0 when muted or un-soloed) and pan offset a backend applies to one channel
+    _resolveChannelMix(channel) {
+        const strip = this.mixer[channel];
+        return {
+            gain: this.isChannelAudible(channel) ? strip.volume : 0,
+            pan: strip.pan
+        };
+    }
+
+    // Resolve mute/solo into a gain per channel and push it to the backend
+    _applyMixer(onlyChannel = null) {
+        for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+            if (onlyChannel !== null && channel !== onlyChannel) continue;
+            const mix = this._resolveChannelMix(channel);
+            if (this.player && this.player.setChannelMix) this.player.setChannelMix(channel, mix);
+            this.midiOutput.setChannelMix(channel, mix);
+        }
+    }
+
+    // ===== Instrument Overrides =====
+
+    /**
+     * Replace the GM program of a channel (null = back to the file's own).
+     * Saved per file, so it comes back when the same MIDI is reopened.
+     * The percussion channel keeps its drum kit.
+     */
+    async setChannelProgram(channel, program) {
+        if (channel === DRUM_CHANNEL) return;
+        const previous = this.programOverrides[channel];
+        this.programOverrides[channel] = program === null ? null : Math.max(0, Math.min(127, Math.round(program)));
+
+        try {
+            if (this.player && this.player.setChannelProgram) {
+                await this.player.setChannelProgram(channel, this.programOverrides[channel]);
+            }
+        } catch (error) {
+            this.programOverrides[channel] = previous;
+            throw error;
+        }
+        this.midiOutput.setChannelProgram(channel, this.programOverrides[channel]);
+        this._saveProgramOverrides();
+    }
+
+    // Override of a channel, null when it plays the file's program
+    getChannelProgram(channel) {
+        return this.programOverrides[channel] ?? null;
+    }
+
+    getProgramOverrides() {
+        return [...this.programOverrides];
+    }
+
+    async resetProgramOverrides() {
+        this.programOverrides = createProgramOverrides();
+        await this._applyProgramOverrides();
+        this._saveProgramOverrides();
+    }
+
+    async _applyProgramOverrides() {
+        for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+            this.midiOutput.setChannelProgram(channel, this.programOverrides[channel]);
+            if (this.player && this.player.setChannelProgram) {
+                await this.player.setChannelProgram(channel, this.programOverrides[channel]);
+            }
+        }
+    }
+
+    // Files are recognised by name and size, the File object itself does not survive a reload
+    _programStorageKey(file) {
+        return `${PROGRAM_STORAGE_PREFIX}${file.name}:${file.size}`;
+    }
+
+    _loadProgramOverrides(file) {
+        const overrides = createProgramOverrides();
+        try {
+            const saved = JSON.parse(localStorage.getItem(this._programStorageKey(file)) || '{}');
+            Object.entries(saved).forEach(([channel, program]) => {
+                if (channel in overrides && Number(channel) !== DRUM_CHANNEL) overrides[channel] = program;
+            });
+        } catch (e) {
+            console.warn('⚠️ MidiPlayerManager: Saved instruments could not be read:', e);
+        }
+        return overrides;
+    }
+
+    _saveProgramOverrides() {
+        if (!this.currentFile) return;
+        const saved = {};
+        this.programOverrides.forEach((program, channel) => {
+            if (program !== null) saved[channel] = program;
+        });
+        try {
+            const key = this._programStorageKey(this.currentFile);
+            if (Object.keys(saved).length > 0) localStorage.setItem(key, JSON.stringify(saved));
+            else localStorage.removeItem(key);
+        } catch (e) {
+            console.warn('⚠️ MidiPlayerManager: Instruments could not be saved:', e);
+        }
+    }
+
+    // ===== Live MIDI Input =====
+
+    // Live MIDI input sounds through SpessaSynth only
+    supportsLiveSound() {
+        return this.playerType === PlayerType.SPESSA;
+    }
+
+    // Creates the synth if no file has yet; false when the active backend cannot play live input
+    async prepareLiveSound() {
+        if (!this.supportsLiveSound()) return false;
+        await this.init();
+        return true;
+    }
+
+    sendLiveEvent(event) {
+        if (this.isInitialized && this.supportsLiveSound() && this.player.playLiveEvent) {
+            this.player.playLiveEvent(event);
         }
     }
 
+    // ===== File Controllers =====
+
+    // Sustain, volume, expression, pan and pitch bend of the file, chased on a seek, reach the
+    // scheduler-driven backends only; Magenta and the Tone.js handler play the notes alone
+    supportsControllers(type = this.playerType) {
+        return type === PlayerType.SPESSA || type === PlayerType.FLUID || type === PlayerType.WAF;
+    }
+
+    // ===== Web MIDI Output =====
+
+    // Asks for Web MIDI access; @returns {Promise<Array<{id: string, name: string}>>} the output ports
+    async connectMidiOutput() {
+        await this.midiOutput.connect();
+        return this.midiOutput.getOutputs();
+    }
+
+    getMidiOutputs() {
+        return this.midiOutput.getOutputs();
+    }
+
+    onMidiOutputsChange(callback) {
+        this.midiOutput.onOutputsChange(callback);
+    }
+
+    // null turns the output off; playback in progress continues on the new port from here
+    selectMidiOutput(id) {
+        this.midiOutput.selectOutput(id);
+        this._applyVolume();
+        if (!this.midiOutput.isActive) return;
+        this._applyMixer();
+        for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+            if (this.programOverrides[channel] !== null) this.midiOutput.setChannelProgram(channel, this.programOverrides[channel]);
+        }
+        if (this.getIsPlaying()) this.midiOutput.play(this.getCurrentTime());
+    }
+
+    // Port only (true) or port alongside the internal synth (false)
+    setMidiOutputReplacesSynth(replaces) {
+        this.outputReplacesSynth = replaces;
+        this._applyVolume();
+    }
+
+    // ===== User Sound Banks =====
+
+    // Only the SoundFont synths can take extra banks
+    supportsSoundBanks() {
+        return this.playerType === PlayerType.SPESSA || this.playerType === PlayerType.FLUID;
+    }
+
+    /**
+     * Load a .sf2/.sf3/.dls bank on top of the others, into the running synth if there is one.
+     * @returns {Promise<Object>} the bank's info (see getSoundBanks)
+     */
+    async addSoundBank(file) {
+        const bank = await this.soundBanks.add(file);
+        try {
+            await this._applySoundBanks();
+        } catch (error) {
+            this.soundBanks.remove(bank.id);
+            await this._applySoundBanks();
+            throw error;
+        }
+        return this._soundBankInfo(bank);
+    }
+
+    async removeSoundBank(id) {
+        this.soundBanks.remove(id);
+        await this._applySoundBanks();
+    }
+
+    // Raise (-1) or lower (1) a bank's priority
+    async moveSoundBank(id, direction) {
+        this.soundBanks.move(id, direction);
+        await this._applySoundBanks();
+    }
+
+    // Highest priority first; the built-in GM set is always last and not listed
+    getSoundBanks() {
+        return this.soundBanks.getBanks().map(bank => this._soundBankInfo(bank));
+    }
+
+    _soundBankInfo(bank) {
+        const { id, name, fileName, format, presets } = bank;
+        return { id, name, fileName, format, presets };
+    }
+
+    // Hand the bank stack to the backend, converted to a format it reads
+    async _applySoundBanks() {
+        if (!this.player || !this.player.setSoundBanks) return;
+        const formats = this.player.soundBankFormats;
+        const banks = [];
+        for (const bank of this.soundBanks.getBanks()) {
+            const buffer = formats.includes(bank.format) ? bank.buffer : await this.soundBanks.getSf2Buffer(bank);
+            banks.push({ id: bank.id, buffer });
+        }
+        await this.player.setSoundBanks(banks);
+    }
+
+    // Everything an offline render must reproduce to sound like live playback
+    getRenderSettings() {
+        return {
+            playbackRate: this.playbackRate,
+            transpose: this.transpose,
+            channelMix: Array.from({ length: CHANNEL_COUNT }, (_, channel) => this._resolveChannelMix(channel)),
+            programOverrides: [...this.programOverrides],
+            soundBanks: this.soundBanks.getBanks().map(bank => bank.buffer)
+        };
+    }
+
     getCurrentTime() {
         if (!this.player) return 0;
         if (this.player.getCurrentTime) {
@@ -171,6 +707,12 @@ class MidiPlayerManager {
         return this.midi || this.player?.midi;
     }
 
+    // Bar, beat, BPM and meter at a song time (defaults to the playback position)
+    getTransportInfo(time = this.getCurrentTime()) {
+        if (!this.transport) return { bar: 0, beat: 0, sixteenth: 0, beatProgress: 0, bpm: 120, timeSignature: [4, 4] };
+        return this.transport.getInfo(time);
+    }
+
     getAudioContext() {
         return this.audioContext || this.player?.audioContext;
     }
@@ -179,11 +721,79 @@ class MidiPlayerManager {
         return this.mainOutput || this.player?.mainOutput;
     }
 
+    // Shorthand for on('noteOn'); @returns {() => void} removes the listener
     onNote(callback) {
-        this.onNoteCallback = callback;
-        if (this.player && this.player.onNote) {
-            this.player.onNote(callback);
+        return this.on(PlaybackEvent.NOTE_ON, callback);
+    }
+
+    // ===== Playback Events =====
+
+    _onBackendNote(note) {
+        const event = {
+            channel: note.channel ?? null,
+            pitch: note.pitch,
+            velocity: note.velocity,
+            startTime: note.startTime,
+            endTime: note.endTime
+        };
+        this.soundingNotes.push(event);
+        this.emit(PlaybackEvent.NOTE_ON, event);
+    }
+
+    // Every note still sounding gets its noteOff now
+    _releaseNotes() {
+        const notes = this.soundingNotes;
+        this.soundingNotes = [];
+        notes.forEach(note => this.emit(PlaybackEvent.NOTE_OFF, note));
+    }
+
+    _startWatch(time) {
+        this._stopWatch();
+        this.watchTime = time;
+        this._checkTempo(time);
+        this.watchTimer = setInterval(() => {
+            if (this.isPlaying && this.player) this._watch();
+            else this._stopWatch();
+        }, WATCH_INTERVAL);
+    }
+
+    _stopWatch() {
+        if (this.watchTimer !== null) clearInterval(this.watchTimer);
+        this.watchTimer = null;
+        this._releaseNotes();
+    }
+
+    _watch() {
+        const time = this.getCurrentTime();
+        // Jumping back (a loop wrap) leaves nothing of the old pass sounding
+        if (time < this.watchTime - 0.05) this._releaseNotes();
+        this.watchTime = time;
+
+        const ended = this.soundingNotes.filter(note => note.endTime <= time);
+        if (ended.length > 0) {
+            this.soundingNotes = this.soundingNotes.filter(note => note.endTime > time);
+            ended.forEach(note => this.emit(PlaybackEvent.NOTE_OFF, note));
         }
+        this._checkTempo(time);
+
+        // Backends stop by themselves at the song end; switching stops them on purpose
+        const backendPlaying = this.player.getIsPlaying ? this.player.getIsPlaying() : this.player.isPlaying;
+        if (!backendPlaying && !this.isSwitching && time >= this.getDuration() - 0.05) {
+            this.isPlaying = false;
+            this.isPaused = false;
+            this.midiOutput.stop();
+            this._stopWatch();
+            console.log('🏁 MidiPlayerManager: Ended');
+            this.emit(PlaybackEvent.ENDED);
+        }
+    }
+
+    _checkTempo(time) {
+        if (!this.transport) return;
+        const bpm = this.transport.getBpm(time);
+        if (bpm === this.bpm) return;
+        this.bpm = bpm;
+        this.emit(PlaybackEvent.TEMPO_CHANGE, { bpm, time });
     }
 
     // For visualization - get processed notes
@@ -203,9 +813,21 @@ class MidiPlayerManager {
         };
     }
 
-    _getPlayerName() {
-        switch (this.playerType) {
+    // All selectable backends, for the settings panel
+    getAvailablePlayers() {
+        return Object.values(PlayerType).map(type => ({
+            type,
+            name: this._getPlayerName(type),
+            controllers: this.supportsControllers(type)
+        }));
+    }
+
+    _getPlayerName(type = this.playerType) {
+        switch (type) {
             case PlayerType.WAF: return 'WebAudioFont';
+            case PlayerType.SPESSA: return 'SpessaSynth';
+            case PlayerType.FLUID: return 'FluidSynth';
+            case PlayerType.HQ: return 'Magenta SGM+';
             case PlayerType.MIDI_HANDLER: return 'Tone.js MidiHandler';
             default: return 'Unknown';
         }
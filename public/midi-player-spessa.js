@@ -2,12 +2,15 @@
  * SpessaSynth MIDI Player
  * Professional quality MIDI playback using SpessaSynth
  * Features: Real SF2 support, high polyphony, no artifacts
+ * Timing: lookahead scheduler on the audio clock, events carry their AudioContext time
  */
 
-import { WorkletSynthesizer, Sequencer } from 'spessasynth_lib';
-
-// Default SoundFont - we'll use the bundled GeneralUser GS or external
-const SOUNDFONT_URL = './soundfonts/FluidR3_GM.sf2';
+import { WorkletSynthesizer } from 'spessasynth_lib';
+import { parseMidiFile } from './midi-file-parser.js';
+import { MidiScheduler, buildMidiEvents, buildChaseEvents } from './midi-scheduler.js';
+import { transposePitch } from './midi-transpose.js';
+import { createChannelMix, createFileLevels, createProgramOverrides, mixVolume, mixPan } from './midi-mixer.js';
+import { AssetPaths, loadAssetBuffer } from './asset-resolver.js';
 
 class SpessaMidiPlayer {
     constructor() {
@@ -19,14 +22,26 @@ class SpessaMidiPlayer {
         this.currentTime = 0;
         this.duration = 0;
         this.masterVolume = 1.0;
-        this.startTimestamp = 0;
+        this.playbackRate = 1.0;
+        this.loop = null;           // A-B loop region, handed to the scheduler
+        this.transpose = 0;
+        this.channelMix = createChannelMix();   // Mixer gain/pan per channel
+        this.fileLevels = createFileLevels();   // Last CC7/CC10/program the file sent per channel
+        this.programOverrides = createProgramOverrides();
         this.pauseOffset = 0;
-        this.animationFrame = null;
-        this.scheduledEvents = [];
+        this.scheduler = null;
+        this.events = [];
         this.notes = [];
         this.onNoteCallback = null;
         this.mainOutput = null;
         this.soundfontBuffer = null;
+        this.soundBanks = [];        // User banks above the GM set, highest priority first
+        this.loadedBankIds = [];     // The ones the worklet currently holds
+    }
+
+    // Bank formats the worklet reads directly
+    get soundBankFormats() {
+        return ['sf2', 'sf3', 'dls'];
     }
 
     async init() {
@@ -47,10 +62,9 @@ class SpessaMidiPlayer {
         this.mainOutput.gain.value = 0.4; // Lower default volume to prevent clipping (distortion)
         this.mainOutput.connect(this.audioContext.destination);
 
-        // Load SoundFont
+        // Load SoundFont (from the asset cache after the first visit)
         console.log('📦 Loading SoundFont...');
-        const sfResponse = await fetch(SOUNDFONT_URL);
-        this.soundfontBuffer = await sfResponse.arrayBuffer();
+        this.soundfontBuffer = await loadAssetBuffer(AssetPaths.SOUNDFONT);
         console.log('✅ SoundFont loaded: FluidR3_GM.sf2');
 
         // Load AudioWorklet Processor (Critical for WorkletSynthesizer)
@@ -93,6 +107,15 @@ class SpessaMidiPlayer {
 
         // Connect synth output to our gain node
         this.synth.connect(this.mainOutput);
+        await this._syncSoundBanks();
+
+        // Audio-clock scheduler feeding timed events to the worklet
+        this.scheduler = new MidiScheduler(this.audioContext);
+        this.scheduler.setRate(this.playbackRate);
+        if (this.loop) this.scheduler.setLoop(this.loop.start, this.loop.end);
+        this.scheduler.onSchedule = (event, when) => this._sendEvent(event, when);
+        this.scheduler.onDue = (event) => this._notifyNote(event);
+        this.scheduler.onTick = (songTime) => this._onSchedulerTick(songTime);
 
         console.log(`📊 AudioContext: ${this.audioContext.sampleRate}Hz, ${this.audioContext.state}`);
         console.log('🎛️ SpessaSynth: Professional SF2 synthesis');
@@ -107,8 +130,7 @@ class SpessaMidiPlayer {
         const arrayBuffer = await file.arrayBuffer();
 
         // Parse MIDI using @tonejs/midi for visualization data
-        const { Midi } = await import('https://cdn.jsdelivr.net/npm/@tonejs/midi@2.0.28/+esm');
-        this.midi = new Midi(arrayBuffer);
+        this.midi = parseMidiFile(arrayBuffer);
 
         this.duration = this.midi.duration;
         this.currentTime = 0;
@@ -117,6 +139,10 @@ class SpessaMidiPlayer {
         // Process notes for visualization
         this._processNotes();
 
+        // Flatten tracks into one sorted event list for the scheduler
+        this.events = buildMidiEvents(this.midi);
+        this.fileLevels = createFileLevels();
+
         console.log(`✅ MIDI loaded: ${this.notes.length} notes, ${this.duration.toFixed(2)}s`);
         console.log(`🎹 Tracks: ${this.midi.tracks.length}`);
 
@@ -160,86 +186,100 @@ class SpessaMidiPlayer {
 
         this.isPlaying = true;
         this.isPaused = false;
-        this.startTimestamp = performance.now() - (startTime * 1000);
         this.pauseOffset = startTime;
+        this.currentTime = startTime;
 
-        // Schedule all notes with SpessaSynth
-        this._scheduleNotes(startTime);
+        // Rebuild program, controller and bend state up to startTime before the first note
+        this.scheduler.setEvents(this.events);
+        this.scheduler.start(startTime, buildChaseEvents(this.events, startTime));
 
         console.log(`▶️ Playing from ${startTime.toFixed(2)}s`);
-
-        // Start time tracking
-        this._startTimeTracking();
     }
 
-    _scheduleNotes(fromTime = 0) {
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
-
-        this.midi.tracks.forEach((track, trackIndex) => {
-            const channel = track.channel !== undefined ? track.channel : trackIndex % 16;
+    _sendEvent(event, when) {
+        if (event.type === 'noteOn') {
+            const velocity = Math.round(event.velocity * 127);
+            this.synth.noteOn(event.channel, this._pitch(event), velocity, { time: when });
+        } else if (event.type === 'noteOff') {
+            this.synth.noteOff(event.channel, this._pitch(event), false, { time: when });
+        } else if (event.type === 'controlChange') {
+            const value = this._mixController(event);
+            this.synth.controllerChange(event.channel, event.controller, value, false, { time: when });
+        } else if (event.type === 'pitchBend') {
+            this.synth.pitchWheel(event.channel, event.value, { time: when });
+        } else if (event.type === 'programChange') {
+            // programChange() has no timing option, the raw message does
+            this.synth.sendMessage([0xC0 | event.channel, this._program(event)], 0, { time: when });
+        }
+    }
 
-            // Set instrument for this channel
-            if (track.instrument && track.instrument.number !== undefined) {
-                const program = track.instrument.number;
-                this.synth.programChange(channel, program);
-            }
+    // A live MIDI input event, sounded right away through the mixer, transpose and overrides
+    playLiveEvent(event) {
+        if (!this.synth) return;
+        this._sendEvent(event, this.audioContext.currentTime);
+    }
 
-            track.notes.forEach(note => {
-                if (note.time < fromTime) return;
-
-                const noteOnDelay = (note.time - fromTime) * 1000;
-                const noteOffDelay = (note.time + note.duration - fromTime) * 1000;
-
-                // Note On
-                const noteOnId = setTimeout(() => {
-                    if (!this.isPlaying) return;
-                    const velocity = Math.round(note.velocity * 127);
-                    this.synth.noteOn(channel, note.midi, velocity);
-
-                    // Callback for visualization
-                    if (this.onNoteCallback) {
-                        this.onNoteCallback({
-                            pitch: note.midi,
-                            velocity: note.velocity,
-                            startTime: note.time,
-                            endTime: note.time + note.duration,
-                            channel: channel
-                        });
-                    }
-                }, noteOnDelay);
-
-                // Note Off
-                const noteOffId = setTimeout(() => {
-                    if (!this.isPlaying) return;
-                    this.synth.noteOff(channel, note.midi);
-                }, noteOffDelay);
-
-                this.scheduledEvents.push(noteOnId, noteOffId);
-            });
-        });
+    // Volume and pan pass through the channel mixer, other controllers go out as-is
+    _mixController(event) {
+        const levels = this.fileLevels[event.channel];
+        const mix = this.channelMix[event.channel];
+        if (event.controller === 7) {
+            levels.volume = event.value;
+            return mixVolume(event.value, mix);
+        }
+        if (event.controller === 10) {
+            levels.pan = event.value;
+            return mixPan(event.value, mix);
+        }
+        return event.value;
+    }
 
-        console.log(`📅 Scheduled ${this.scheduledEvents.length / 2} notes`);
+    // Program to play: the channel's override, otherwise the file's own
+    _program(event) {
+        this.fileLevels[event.channel].program = event.program;
+        return this.programOverrides[event.channel] ?? event.program;
     }
 
-    _startTimeTracking() {
-        const updateTime = () => {
-            if (!this.isPlaying) return;
+    _pitch(event) {
+        return transposePitch(event.channel, event.midi, this.transpose);
+    }
 
-            const elapsed = (performance.now() - this.startTimestamp) / 1000;
-            this.currentTime = Math.min(elapsed, this.duration);
+    // Callback for visualization, fired when the note actually sounds
+    _notifyNote(event) {
+        if (event.type !== 'noteOn' || !this.onNoteCallback) return;
+        const note = event.note;
+        this.onNoteCallback({
+            pitch: this._pitch(event),
+            velocity: note.velocity,
+            startTime: note.time,
+            endTime: note.time + note.duration,
+            channel: event.channel
+        });
+    }
 
-            if (this.currentTime >= this.duration) {
-                this.isPlaying = false;
-                this._allNotesOff();
-                console.log('🏁 Playback finished');
-                return;
+    // Stop the scheduler and silence notes it already queued in the worklet
+    _cancelScheduled() {
+        if (!this.scheduler) return;
+        const pending = this.scheduler.stop();
+        pending.forEach(({ event, when }) => {
+            if (event.type === 'noteOn') {
+                this.synth.noteOff(event.channel, this._pitch(event), true, { time: when });
             }
+        });
+    }
 
-            this.animationFrame = requestAnimationFrame(updateTime);
-        };
+    // Scheduler wakeups run on a timer, so the song end is noticed in hidden tabs too
+    _onSchedulerTick(songTime) {
+        if (!this.isPlaying) return;
 
-        updateTime();
+        this.currentTime = Math.min(songTime, this.duration);
+
+        if (this.currentTime >= this.duration) {
+            this.isPlaying = false;
+            this._cancelScheduled();
+            this._allNotesOff();
+            console.log('🏁 Playback finished');
+        }
     }
 
     _allNotesOff() {
@@ -252,18 +292,14 @@ class SpessaMidiPlayer {
     pause() {
         if (!this.isPlaying) return;
 
+        this.currentTime = this.scheduler.getSongTime();
+        this._cancelScheduled();
         this._allNotesOff();
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
 
         this.isPaused = true;
         this.isPlaying = false;
         this.pauseOffset = this.currentTime;
 
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
-
         console.log(`⏸️ Paused at ${this.currentTime.toFixed(2)}s`);
     }
 
@@ -273,18 +309,13 @@ class SpessaMidiPlayer {
     }
 
     stop() {
+        this._cancelScheduled();
         this._allNotesOff();
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
 
         this.isPlaying = false;
         this.isPaused = false;
         this.currentTime = 0;
         this.pauseOffset = 0;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
     }
 
     seek(time) {
@@ -305,8 +336,85 @@ class SpessaMidiPlayer {
         }
     }
 
+    // Tempo factor: event times stretch, pitch stays
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.scheduler) this.scheduler.setRate(rate);
+    }
+
+    // A-B loop region in song seconds, wrapped by the scheduler without a gap
+    setLoop(start, end) {
+        this.loop = { start, end };
+        if (this.scheduler) this.scheduler.setLoop(start, end);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.scheduler) this.scheduler.clearLoop();
+    }
+
+    // Semitone shift for every non-drum note; sounding notes are restarted at the new pitch
+    setTranspose(semitones) {
+        if (this.isPlaying) {
+            const position = this.getCurrentTime();
+            this.stop();
+            this.transpose = semitones;
+            this.play(position);
+        } else {
+            this.transpose = semitones;
+        }
+    }
+
+    // Mixer gain (0 = muted) and pan offset for one channel
+    setChannelMix(channel, mix) {
+        this.channelMix[channel] = { ...mix };
+        if (!this.synth) return;
+        const levels = this.fileLevels[channel];
+        this.synth.controllerChange(channel, 7, mixVolume(levels.volume, mix));
+        this.synth.controllerChange(channel, 10, mixPan(levels.pan, mix));
+        // Also mute in the synth, CC7 events already queued ahead would undo a gain of 0
+        this.synth.muteChannel(channel, mix.gain === 0);
+    }
+
+    // Instrument override for one channel (null restores the file's program)
+    setChannelProgram(channel, program) {
+        this.programOverrides[channel] = program;
+        if (!this.synth) return;
+        this.synth.programChange(channel, program ?? this.fileLevels[channel].program);
+    }
+
+    /**
+     * User banks layered over the GM set, swapped in without reloading the synth.
+     * @param {Array<{id: string, buffer: ArrayBuffer}>} banks - highest priority first
+     */
+    async setSoundBanks(banks) {
+        this.soundBanks = banks;
+        if (this.synth) await this._syncSoundBanks();
+    }
+
+    async _syncSoundBanks() {
+        const manager = this.synth.soundBankManager;
+        const wanted = this.soundBanks.map(bank => bank.id);
+
+        for (const id of this.loadedBankIds) {
+            if (!wanted.includes(id)) await manager.deleteSoundBank(id);
+        }
+        for (const bank of this.soundBanks) {
+            // The buffer is transferred to the worklet, so it gets a copy
+            if (!this.loadedBankIds.includes(bank.id)) await manager.addSoundBank(bank.buffer.slice(0), bank.id);
+        }
+        manager.priorityOrder = [...wanted, 'main'];
+        this.loadedBankIds = wanted;
+
+        // Channels keep the preset they selected, so every channel picks its program again
+        for (let channel = 0; channel < this.fileLevels.length; channel++) {
+            this.synth.programChange(channel, this.programOverrides[channel] ?? this.fileLevels[channel].program);
+        }
+    }
+
+    // Read from the audio clock while playing, so it never lags behind in a hidden tab
     getCurrentTime() {
-        return this.currentTime;
+        return this.isPlaying ? Math.min(this.scheduler.getSongTime(), this.duration) : this.currentTime;
     }
 
     getDuration() {
@@ -329,6 +437,17 @@ class SpessaMidiPlayer {
         return this.audioContext;
     }
 
+    // Release the synth and audio graph (AudioContext is closed by the manager)
+    dispose() {
+        this.stop();
+        if (this.synth) {
+            this.synth.disconnect();
+            if (this.synth.destroy) this.synth.destroy();
+        }
+        this.synth = null;
+        this.soundfontBuffer = null;
+    }
+
     // For visualization - returns processed notes
     getNotes() {
         return this.notes;
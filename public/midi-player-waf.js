@@ -2,10 +2,21 @@
  * WebAudioFont MIDI Player
  * Simple but high quality MIDI playback using WebAudioFont
  * Features: Full GM support, good polyphony, no complex setup
+ * Channels: per-channel gain/pan strip for volume, expression and pan CCs plus the mixer,
+ * sustain pedal extends note lengths, pitch bend detunes the sounding voices
+ * Drums: channel 10 plays the WebAudioFont percussion preset of each note, loaded with the file
  */
 
-// WebAudioFont will be loaded from CDN
-const WEBAUDIOFONT_CDN = 'https://surikov.github.io/webaudiofont/npm/dist/WebAudioFontPlayer.js';
+import { MidiScheduler, buildMidiEvents, buildChaseEvents } from './midi-scheduler.js';
+import { transposePitch, DRUM_CHANNEL } from './midi-transpose.js';
+import { createChannelMix, createProgramOverrides, mixPan } from './midi-mixer.js';
+import { parseMidiFile } from './midi-file-parser.js';
+import { AssetPaths, MissingAssetError, resolveAsset, loadAssetScript } from './asset-resolver.js';
+
+// Preset set in the local webaudiofontdata mirror
+const FONT_SET = 'FluidR3_GM_sf2_file';
+// GM percussion keys with a drum preset, the range scripts/mirror-assets.mjs mirrors
+const DRUM_NOTES = { min: 35, max: 81 };
 
 class WebAudioFontPlayer {
     constructor() {
@@ -17,10 +28,16 @@ class WebAudioFontPlayer {
         this.currentTime = 0;
         this.duration = 0;
         this.masterVolume = 1.0;
-        this.startTimestamp = 0;
+        this.playbackRate = 1.0;
+        this.loop = null;           // A-B loop region, handed to the scheduler
+        this.transpose = 0;
         this.pauseOffset = 0;
-        this.animationFrame = null;
-        this.scheduledEvents = [];
+        this.scheduler = null;
+        this.events = [];
+        this.channels = [];         // Per-channel state and audio strip
+        this.channelMix = createChannelMix(); // Mixer gain/pan per channel
+        this.programOverrides = createProgramOverrides();
+        this.sustainEnds = new Map(); // note -> release time once the sustain pedal lifts
         this.notes = [];
         this.onNoteCallback = null;
         this.mainOutput = null;
@@ -33,7 +50,7 @@ class WebAudioFontPlayer {
 
         // Load WebAudioFont library
         if (!window.WebAudioFontPlayer) {
-            await this._loadScript(WEBAUDIOFONT_CDN);
+            await loadAssetScript(AssetPaths.WEBAUDIOFONT_PLAYER);
         }
 
         // Create audio context
@@ -54,36 +71,32 @@ class WebAudioFontPlayer {
         // Initialize WebAudioFont player
         this.player = new WebAudioFontPlayer();
 
+        this._createChannels();
+
+        this.scheduler = new MidiScheduler(this.audioContext);
+        this.scheduler.setRate(this.playbackRate);
+        if (this.loop) this.scheduler.setLoop(this.loop.start, this.loop.end);
+        this.scheduler.onSchedule = (event, when) => this._sendEvent(event, when);
+        this.scheduler.onDue = (event) => this._notifyNote(event);
+        this.scheduler.onTick = (songTime) => this._onSchedulerTick(songTime);
+
         console.log(`📊 AudioContext: ${this.audioContext.sampleRate}Hz, ${this.audioContext.state}`);
         console.log('✅ WebAudioFont Player: Ready');
 
         return this.audioContext;
     }
 
-    _loadScript(url) {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = url;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
-
     async _loadInstrument(program, isDrum = false) {
         const key = isDrum ? `drum_${program}` : `inst_${program}`;
         if (this.instruments[key]) return this.instruments[key];
 
-        // Use FluidR3 GM soundfont from WebAudioFont CDN
-        const fontName = isDrum
-            ? `_drum_${program}_${this._getDrumName(program)}`
-            : `_tone_${this._pad(program)}_${this._getInstrumentName(program)}`;
-
-        const url = `https://surikov.github.io/webaudiofontdata/sound/${fontName}_sf2_file.js`;
+        // webaudiofontdata naming: tones are program × 10 in four digits, drums are 128 + note
+        const fileName = isDrum ? `128${program}_0_${FONT_SET}` : `${this._pad(program * 10)}_${FONT_SET}`;
+        const varName = isDrum ? `_drum_${program}_0_${FONT_SET}` : `_tone_${fileName}`;
+        const url = resolveAsset(AssetPaths.WEBAUDIOFONT_DATA, `${fileName}.js`);
 
         try {
-            await this._loadScript(url);
-            const varName = fontName.replace(/-/g, '_');
+            await loadAssetScript(url);
             if (window[varName]) {
                 this.player.adjustPreset(this.audioContext, window[varName]);
                 this.instruments[key] = window[varName];
@@ -93,13 +106,14 @@ class WebAudioFontPlayer {
             }
         } catch (e) {
             console.error(`❌ Fatal Error: Could not load instrument ${program} (${isDrum ? 'Drum' : 'Tone'}) from ${url}`);
-            throw new Error(`Kritik Hata: Enstrüman yüklenemedi: ${program} - ${this._getInstrumentName(program)}. Dosya bulunamadı veya ağ hatası.`);
+            if (e instanceof MissingAssetError) throw e;
+            throw new Error(`Kritik Hata: Enstrüman yüklenemedi: ${program} - ${this._getInstrumentName(program)}. Dosya geçersiz.`);
         }
         return null;
     }
 
     _pad(n) {
-        return String(n).padStart(3, '0');
+        return String(n).padStart(4, '0');
     }
 
     _getInstrumentName(program) {
@@ -140,18 +154,13 @@ class WebAudioFontPlayer {
         return names[program] || 'Acoustic_Grand_Piano';
     }
 
-    _getDrumName(program) {
-        return 'Standard';
-    }
-
     async loadMidi(file) {
         console.log('📂 Loading MIDI:', file.name);
 
         const arrayBuffer = await file.arrayBuffer();
 
         // Parse MIDI using @tonejs/midi
-        const { Midi } = await import('https://cdn.jsdelivr.net/npm/@tonejs/midi@2.0.28/+esm');
-        this.midi = new Midi(arrayBuffer);
+        this.midi = parseMidiFile(arrayBuffer);
 
         this.duration = this.midi.duration;
         this.currentTime = 0;
@@ -160,19 +169,30 @@ class WebAudioFontPlayer {
         // Process notes for visualization
         this._processNotes();
 
-        // Preload instruments
+        this.events = buildMidiEvents(this.midi);
+        this._resolveSustain();
+
+        // Preload every instrument the file switches to
         console.log('📦 Loading instruments...');
         const programs = new Set();
-        for (const track of this.midi.tracks) {
-            if (track.instrument) {
-                programs.add(track.instrument.number || 0);
+        const drums = new Set();
+        for (const event of this.events) {
+            if (event.type === 'programChange' && event.channel !== DRUM_CHANNEL) {
+                programs.add(event.program);
+            } else if (event.type === 'noteOn' && event.channel === DRUM_CHANNEL
+                && event.midi >= DRUM_NOTES.min && event.midi <= DRUM_NOTES.max) {
+                drums.add(event.midi);
             }
         }
 
         for (const program of programs) {
             await this._loadInstrument(program);
         }
-        console.log(`✅ Loaded ${programs.size} instruments`);
+        // The percussion channel plays one preset per drum note
+        for (const note of drums) {
+            await this._loadInstrument(note, true);
+        }
+        console.log(`✅ Loaded ${programs.size} instruments, ${drums.size} drums`);
 
         console.log(`✅ MIDI loaded: ${this.notes.length} notes, ${this.duration.toFixed(2)}s`);
         console.log(`🎹 Tracks: ${this.midi.tracks.length}`);
@@ -217,95 +237,188 @@ class WebAudioFontPlayer {
 
         this.isPlaying = true;
         this.isPaused = false;
-        this.startTimestamp = performance.now() - (startTime * 1000);
         this.pauseOffset = startTime;
+        this.currentTime = startTime;
 
-        this._scheduleNotes(startTime);
+        // Rebuild program, controller and bend state up to startTime before the first note
+        this._resetChannels();
+        this.scheduler.setEvents(this.events);
+        this.scheduler.start(startTime, buildChaseEvents(this.events, startTime));
 
         console.log(`▶️ Playing from ${startTime.toFixed(2)}s`);
-
-        this._startTimeTracking();
     }
 
-    _scheduleNotes(fromTime = 0) {
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
-
-        for (const note of this.notes) {
-            if (note.startTime < fromTime) continue;
-
-            const delay = (note.startTime - fromTime) * 1000;
+    _createChannels() {
+        this.channels = [];
+        for (let i = 0; i < 16; i++) {
+            // File volume/expression -> mixer gain -> pan
+            const gain = this.audioContext.createGain();
+            const mixGain = this.audioContext.createGain();
+            const panner = this.audioContext.createStereoPanner();
+            gain.connect(mixGain);
+            mixGain.connect(panner);
+            panner.connect(this.mainOutput);
+            mixGain.gain.value = this.channelMix[i].gain;
+            this.channels.push({ gain, mixGain, panner, program: 0, volume: 100, expression: 127, pan: 64, bend: 0, voices: [], mix: this.channelMix[i] });
+        }
+        this._resetChannels();
+    }
 
-            const eventId = setTimeout(() => {
-                if (!this.isPlaying) return;
+    // GM defaults at the start of every run
+    _resetChannels() {
+        const now = this.audioContext.currentTime;
+        this.channels.forEach(ch => {
+            ch.volume = 100;
+            ch.expression = 127;
+            ch.pan = 64;
+            ch.bend = 0;
+            ch.voices = [];
+            // Drop automation the previous run queued ahead of time
+            ch.gain.gain.cancelScheduledValues(now);
+            this._updateChannelGain(ch, now);
+            ch.panner.pan.cancelScheduledValues(now);
+            this._updateChannelPan(ch, now);
+        });
+    }
 
-                const key = `inst_${note.program}`;
-                const instrument = this.instruments[key];
+    _updateChannelGain(ch, when) {
+        const level = (ch.volume / 127) * (ch.expression / 127);
+        ch.gain.gain.setValueAtTime(level * level, when);
+    }
 
-                if (instrument && this.player) {
-                    const velocity = note.velocity * this.masterVolume;
-                    this.player.queueWaveTable(
-                        this.audioContext,
-                        this.mainOutput,
-                        instrument,
-                        this.audioContext.currentTime,
-                        note.note,
-                        note.duration,
-                        velocity
-                    );
-                }
+    _updateChannelPan(ch, when) {
+        ch.panner.pan.setValueAtTime((mixPan(ch.pan, ch.mix) - 64) / 64, when);
+    }
 
-                if (this.onNoteCallback) {
-                    this.onNoteCallback({
-                        pitch: note.note,
-                        velocity: note.velocity,
-                        startTime: note.startTime,
-                        endTime: note.endTime,
-                        channel: note.channel
-                    });
+    /**
+     * WebAudioFont needs a note's length when it is queued, so the sustain pedal is
+     * resolved up front: a note released while CC64 is down rings until the pedal lifts.
+     */
+    _resolveSustain() {
+        this.sustainEnds = new Map();
+        const pedalDown = new Array(16).fill(false);
+        const held = Array.from({ length: 16 }, () => []);
+
+        for (const event of this.events) {
+            if (event.type === 'controlChange' && event.controller === 64) {
+                const down = event.value >= 64;
+                if (pedalDown[event.channel] && !down) {
+                    held[event.channel].forEach(note => this.sustainEnds.set(note, event.time));
+                    held[event.channel] = [];
                 }
-            }, delay);
+                pedalDown[event.channel] = down;
+            } else if (event.type === 'noteOff' && pedalDown[event.channel]) {
+                held[event.channel].push(event.note);
+            }
+        }
+    }
 
-            this.scheduledEvents.push(eventId);
+    _sendEvent(event, when) {
+        const ch = this.channels[event.channel];
+
+        if (event.type === 'noteOn') {
+            const program = this.programOverrides[event.channel] ?? ch.program;
+            const instrument = event.channel === DRUM_CHANNEL
+                ? this.instruments[`drum_${event.midi}`]
+                : this.instruments[`inst_${program}`];
+            if (!instrument || !this.player) return;
+
+            // Song seconds to audio seconds at the current playback rate
+            const end = this.sustainEnds.get(event.note) ?? event.time + event.note.duration;
+            const duration = (end - event.time) / this.scheduler.rate;
+            const envelope = this.player.queueWaveTable(
+                this.audioContext,
+                ch.gain,
+                instrument,
+                when,
+                this._pitch(event),
+                duration,
+                event.velocity
+            );
+            if (envelope && envelope.audioBufferSourceNode) {
+                envelope.audioBufferSourceNode.detune.setValueAtTime(ch.bend, when);
+                ch.voices = ch.voices.filter(voice => voice.end > this.audioContext.currentTime);
+                ch.voices.push({ envelope, end: when + duration, note: event.note });
+            }
+        } else if (event.type === 'noteOff' && event.cut) {
+            // Notes are queued with their full length, only a loop wrap cuts one short
+            ch.voices.forEach(voice => {
+                if (voice.note !== event.note || voice.end <= when) return;
+                voice.envelope.gain.cancelScheduledValues(when);
+                voice.envelope.gain.setTargetAtTime(0, when, 0.02);
+                voice.envelope.audioBufferSourceNode.stop(when + 0.1);
+                voice.end = when;
+            });
+        } else if (event.type === 'controlChange') {
+            if (event.controller === 7) {
+                ch.volume = event.value;
+                this._updateChannelGain(ch, when);
+            } else if (event.controller === 11) {
+                ch.expression = event.value;
+                this._updateChannelGain(ch, when);
+            } else if (event.controller === 10) {
+                ch.pan = event.value;
+                this._updateChannelPan(ch, when);
+            }
+            // Other controllers (modulation, reverb...) have no WebAudioFont equivalent
+        } else if (event.type === 'pitchBend') {
+            // Default GM bend range of +/- 2 semitones, in cents
+            ch.bend = ((event.value - 8192) / 8192) * 200;
+            ch.voices.forEach(voice => {
+                voice.envelope.audioBufferSourceNode.detune.setValueAtTime(ch.bend, when);
+            });
+        } else if (event.type === 'programChange') {
+            ch.program = event.program;
         }
+    }
 
-        console.log(`📅 Scheduled ${this.scheduledEvents.length} notes`);
+    _pitch(event) {
+        return transposePitch(event.channel, event.midi, this.transpose);
     }
 
-    _startTimeTracking() {
-        const updateTime = () => {
-            if (!this.isPlaying) return;
+    // Callback for visualization, fired when the note actually sounds
+    _notifyNote(event) {
+        if (event.type !== 'noteOn' || !this.onNoteCallback) return;
+        const note = event.note;
+        this.onNoteCallback({
+            pitch: this._pitch(event),
+            velocity: note.velocity,
+            startTime: note.time,
+            endTime: note.time + note.duration,
+            channel: event.channel
+        });
+    }
 
-            const elapsed = (performance.now() - this.startTimestamp) / 1000;
-            this.currentTime = Math.min(elapsed, this.duration);
+    // Scheduler wakeups run on a timer, so the song end is noticed in hidden tabs too
+    _onSchedulerTick(songTime) {
+        if (!this.isPlaying) return;
 
-            if (this.currentTime >= this.duration) {
-                this.isPlaying = false;
-                console.log('🏁 Playback finished');
-                return;
-            }
+        this.currentTime = Math.min(songTime, this.duration);
 
-            this.animationFrame = requestAnimationFrame(updateTime);
-        };
+        if (this.currentTime >= this.duration) {
+            this.isPlaying = false;
+            this.scheduler.stop();
+            console.log('🏁 Playback finished');
+        }
+    }
 
-        updateTime();
+    // Stop the scheduler and cut every queued or sounding voice
+    _cancelScheduled() {
+        if (this.scheduler) this.scheduler.stop();
+        if (this.player && this.audioContext) this.player.cancelQueue(this.audioContext);
+        this.channels.forEach(ch => { ch.voices = []; });
     }
 
     pause() {
         if (!this.isPlaying) return;
 
-        // Clear scheduled notes
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
+        this.currentTime = this.scheduler.getSongTime();
+        this._cancelScheduled();
 
         this.isPaused = true;
         this.isPlaying = false;
         this.pauseOffset = this.currentTime;
 
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
-
         console.log(`⏸️ Paused at ${this.currentTime.toFixed(2)}s`);
     }
 
@@ -315,18 +428,12 @@ class WebAudioFontPlayer {
     }
 
     stop() {
-        // Clear scheduled notes
-        this.scheduledEvents.forEach(id => clearTimeout(id));
-        this.scheduledEvents = [];
+        this._cancelScheduled();
 
         this.isPlaying = false;
         this.isPaused = false;
         this.currentTime = 0;
         this.pauseOffset = 0;
-
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
     }
 
     seek(time) {
@@ -347,8 +454,57 @@ class WebAudioFontPlayer {
         }
     }
 
+    // Tempo factor: event times stretch, pitch stays
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.scheduler) this.scheduler.setRate(rate);
+    }
+
+    // A-B loop region in song seconds, wrapped by the scheduler without a gap
+    setLoop(start, end) {
+        this.loop = { start, end };
+        if (this.scheduler) this.scheduler.setLoop(start, end);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        if (this.scheduler) this.scheduler.clearLoop();
+    }
+
+    // Semitone shift for every non-drum note; sounding notes are restarted at the new pitch
+    setTranspose(semitones) {
+        if (this.isPlaying) {
+            const position = this.getCurrentTime();
+            this.stop();
+            this.transpose = semitones;
+            this.play(position);
+        } else {
+            this.transpose = semitones;
+        }
+    }
+
+    // Mixer gain (0 = muted) and pan offset for one channel
+    setChannelMix(channel, mix) {
+        this.channelMix[channel] = { ...mix };
+        const ch = this.channels[channel];
+        if (!ch) return;
+        const now = this.audioContext.currentTime;
+        ch.mix = this.channelMix[channel];
+        ch.mixGain.gain.setValueAtTime(mix.gain, now);
+        this._updateChannelPan(ch, now);
+    }
+
+    // Instrument override for one channel (null restores the file's program), preset loaded first
+    async setChannelProgram(channel, program) {
+        if (program !== null && this.player) {
+            await this._loadInstrument(program);
+        }
+        this.programOverrides[channel] = program;
+    }
+
+    // Read from the audio clock while playing, so it never lags behind in a hidden tab
     getCurrentTime() {
-        return this.currentTime;
+        return this.isPlaying ? Math.min(this.scheduler.getSongTime(), this.duration) : this.currentTime;
     }
 
     getDuration() {
@@ -371,6 +527,14 @@ class WebAudioFontPlayer {
         return this.audioContext;
     }
 
+    // Drop decoded presets - they are bound to this player's AudioContext
+    dispose() {
+        this.stop();
+        if (this.player) this.player.cancelQueue(this.audioContext);
+        this.instruments = {};
+        this.player = null;
+    }
+
     getNotes() {
         return this.notes;
     }
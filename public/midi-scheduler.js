@@ -0,0 +1,351 @@
+/**
+ * Lookahead MIDI Scheduler
+ * Drives playback from audioContext.currentTime instead of one timer per note.
+ * A single interval timer wakes up every few milliseconds and hands the player
+ * every event inside the lookahead window, stamped with its exact AudioContext
+ * time, so synths that accept timed events play sample-accurately even when the
+ * main thread is busy.
+ * An optional loop region wraps inside the lookahead window, so the jump back
+ * is scheduled ahead of time like any other event and plays without a gap.
+ */
+
+// Delay before the first event of a run, gives the synth time to receive it
+const START_LATENCY = 0.05;
+
+export class MidiScheduler {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.lookahead = options.lookahead ?? 0.1;  // Seconds of audio handed out ahead of time
+        this.interval = options.interval ?? 25;     // Milliseconds between scheduler wakeups
+        this.rate = 1;                              // Song seconds per audio second
+
+        this.events = [];
+        this.index = 0;
+        this.timer = null;
+        this.isRunning = false;
+
+        this.startSongTime = 0;
+        this.startAudioTime = 0;
+        this.previousAnchor = null; // Song/audio mapping before a loop wrap that has not sounded yet
+        this.horizon = 0;       // Latest AudioContext time handed to the synth
+        this.inFlight = [];     // Scheduled events that have not sounded yet
+        this.openNotes = new Map(); // note -> noteOn event handed out whose noteOff has not been
+        this.loop = null;       // { start, end, chase } in song seconds
+
+        this.onSchedule = null; // (event, when) => void - send to synth with its audio time
+        this.onDue = null;      // (event) => void - main-thread callback once the event sounds
+        this.onTick = null;     // (songTime) => void - every wakeup; a timer, so it also runs in hidden tabs
+    }
+
+    // Events must be sorted by time (seconds)
+    setEvents(events) {
+        this.events = events;
+        this.index = 0;
+        if (this.loop) this.setLoop(this.loop.start, this.loop.end);
+    }
+
+    /**
+     * Repeats the song region [start, end) until cleared. Channel state at the loop start
+     * is chased again on every wrap, so controllers and programs match the first pass.
+     */
+    setLoop(start, end) {
+        this.loop = { start, end, chase: buildChaseEvents(this.events, start) };
+    }
+
+    clearLoop() {
+        this.loop = null;
+    }
+
+    /**
+     * @param {number} fromTime - song position to start from
+     * @param {Array<object>} leadIn - events sent right at the start, ahead of the song (e.g. chased channel state)
+     */
+    start(fromTime = 0, leadIn = []) {
+        this.stop();
+
+        // Never start before events of the previous run that are still queued in the synth
+        const now = this.audioContext.currentTime;
+        this.startAudioTime = Math.max(now + START_LATENCY, this.horizon);
+        this.startSongTime = fromTime;
+        this.previousAnchor = null;
+        this.index = this._findIndex(fromTime);
+        this.isRunning = true;
+
+        leadIn.forEach(event => {
+            if (this.onSchedule) this.onSchedule(event, this.startAudioTime);
+            this.inFlight.push({ event, when: this.startAudioTime });
+        });
+        this.horizon = Math.max(this.horizon, this.startAudioTime);
+
+        this._tick();
+        this.timer = setInterval(() => this._tick(), this.interval);
+    }
+
+    /**
+     * Stops scheduling.
+     * @returns {Array<{event: object, when: number}>} events already handed out that have not sounded yet
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.isRunning = false;
+
+        const now = this.audioContext.currentTime;
+        this.previousAnchor = null;
+        this.openNotes.clear();
+        const pending = this.inFlight.filter(item => item.when > now);
+        this.inFlight = [];
+        return pending;
+    }
+
+    /**
+     * Changes the playback speed without touching pitch: only event times stretch.
+     * While running, the song/audio mapping is re-anchored at the current position.
+     */
+    setRate(rate) {
+        if (this.isRunning) {
+            if (this.previousAnchor) this.previousAnchor.rate = rate;
+            const now = this.audioContext.currentTime;
+            const anchor = Math.max(now, this.startAudioTime);
+            this.startSongTime = this.startSongTime + (anchor - this.startAudioTime) * this.rate;
+            this.startAudioTime = anchor;
+        }
+        this.rate = rate;
+    }
+
+    // Current song position derived from the audio clock
+    getSongTime() {
+        if (!this.isRunning) return this.startSongTime;
+        const now = this.audioContext.currentTime;
+
+        // A loop wrap handed out ahead of time has not been reached yet
+        const anchor = this.previousAnchor;
+        if (anchor && now < this.startAudioTime) {
+            return anchor.songTime + Math.max(0, now - anchor.audioTime) * anchor.rate;
+        }
+
+        const elapsed = now - this.startAudioTime;
+        return this.startSongTime + Math.max(0, elapsed) * this.rate;
+    }
+
+    toAudioTime(songTime) {
+        return this.startAudioTime + (songTime - this.startSongTime) / this.rate;
+    }
+
+    _tick() {
+        if (!this.isRunning) return;
+
+        const now = this.audioContext.currentTime;
+        const windowEnd = () => this.startSongTime + (now + this.lookahead - this.startAudioTime) * this.rate;
+
+        // Playback started past the loop end just runs on
+        let loopActive = this.loop && this.startSongTime < this.loop.end;
+        let end = windowEnd();
+        while (true) {
+            const limit = loopActive ? Math.min(end, this.loop.end) : end;
+            while (this.index < this.events.length && this.events[this.index].time < limit) {
+                this._dispatch(this.events[this.index++], now);
+            }
+            if (!loopActive || end < this.loop.end) break;
+            this._wrapLoop(now);
+            loopActive = this.loop.end > this.loop.start;
+            end = windowEnd();
+        }
+
+        // Fire main-thread callbacks for everything that has started sounding
+        let due = 0;
+        while (due < this.inFlight.length && this.inFlight[due].when <= now) {
+            if (this.onDue) this.onDue(this.inFlight[due].event);
+            due++;
+        }
+        if (due > 0) this.inFlight.splice(0, due);
+
+        if (this.onTick) this.onTick(this.getSongTime());
+    }
+
+    _dispatch(event, now, when = Math.max(now, this.toAudioTime(event.time))) {
+        this.horizon = Math.max(this.horizon, when);
+        if (event.type === 'noteOn') this.openNotes.set(event.note, event);
+        else if (event.type === 'noteOff') this.openNotes.delete(event.note);
+        if (this.onSchedule) this.onSchedule(event, when);
+        this.inFlight.push({ event, when });
+    }
+
+    // Jump from the loop end back to its start: release held notes, chase state, re-anchor
+    _wrapLoop(now) {
+        const { start, end, chase } = this.loop;
+        const when = Math.max(now, this.toAudioTime(end));
+
+        this.openNotes.forEach(noteOn => {
+            this._dispatch({ ...noteOn, type: 'noteOff', time: end, cut: true }, now, when);
+        });
+        this.openNotes.clear();
+
+        this.previousAnchor = { songTime: this.startSongTime, audioTime: this.startAudioTime, rate: this.rate };
+        this.startSongTime = start;
+        this.startAudioTime = when;
+        this.index = this._findIndex(start);
+
+        chase.forEach(event => this._dispatch(event, now, when));
+    }
+
+    // Binary search for the first event at or after the given time
+    _findIndex(time) {
+        let lo = 0;
+        let hi = this.events.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.events[mid].time < time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+}
+
+/**
+ * Flattens a @tonejs/midi Midi object into one time-sorted event list:
+ * notes, control changes, pitch bends and program changes.
+ * Tracks without notes only have the right channel when the Midi comes from parseMidiFile().
+ * At the same time, channel state (program, CC, bend) is applied before notes,
+ * and noteOff events sort before noteOn events so repeated notes retrigger.
+ */
+export function buildMidiEvents(midi) {
+    const events = [];
+
+    midi.tracks.forEach(track => {
+        const channel = track.channel;
+
+        track.notes.forEach(note => {
+            events.push({
+                type: 'noteOn',
+                time: note.time,
+                channel,
+                midi: note.midi,
+                velocity: note.velocity,
+                note
+            });
+            events.push({
+                type: 'noteOff',
+                time: note.time + note.duration,
+                channel,
+                midi: note.midi,
+                note
+            });
+        });
+
+        // @tonejs/midi keys controlChanges by controller number, values are normalized 0-1
+        Object.keys(track.controlChanges).forEach(key => {
+            track.controlChanges[key].forEach(cc => {
+                events.push({
+                    type: 'controlChange',
+                    time: cc.time,
+                    channel,
+                    controller: cc.number,
+                    value: Math.round(cc.value * 127)
+                });
+            });
+        });
+
+        // Pitch bends are normalized around 0, the synths want 14-bit 0-16383 centred on 8192
+        track.pitchBends.forEach(bend => {
+            events.push({
+                type: 'pitchBend',
+                time: bend.time,
+                channel,
+                value: Math.max(0, Math.min(16383, Math.round(bend.value * 8192) + 8192))
+            });
+        });
+    });
+
+    events.push(...buildProgramChanges(midi));
+
+    // Times are compared on a microsecond grid, so float sums like 0.2 + 0.1 land on the same
+    // step as 0.3; a tolerance between pairs would not be transitive and could break the sort
+    const order = { programChange: 0, controlChange: 1, pitchBend: 2, noteOff: 3, noteOn: 4 };
+    const step = event => Math.round(event.time * 1e6);
+    events.sort((a, b) => (step(a) - step(b)) || (order[a.type] - order[b.type]));
+    return events;
+}
+
+/**
+ * @tonejs/midi splits a track at every program change and keeps one instrument per track,
+ * so mid-track program changes are rebuilt per channel: whenever the next note on a channel
+ * comes from a different instrument, the program switches right before it.
+ */
+function buildProgramChanges(midi) {
+    const byChannel = new Map();
+    midi.tracks.forEach(track => {
+        if (track.notes.length === 0) return;
+        const channel = track.channel;
+        const program = track.instrument ? track.instrument.number : 0;
+        if (!byChannel.has(channel)) byChannel.set(channel, []);
+        track.notes.forEach(note => byChannel.get(channel).push({ time: note.time, program }));
+    });
+
+    const changes = [];
+    byChannel.forEach((notes, channel) => {
+        notes.sort((a, b) => a.time - b.time);
+        let current = null;
+        notes.forEach(({ time, program }) => {
+            if (program === current) return;
+            current = program;
+            changes.push({ type: 'programChange', time, channel, program });
+        });
+    });
+    return changes;
+}
+
+// GM power-on values for controllers a file touches later on
+const CONTROLLER_DEFAULTS = { 7: 100, 10: 64, 11: 127 };
+
+/**
+ * Channel state at a song position, as events to send before playback starts there:
+ * the last value of every controller the file uses (or its default if not reached yet),
+ * then the last program (bank select must come first), then the pitch bend.
+ * Seeking with these sounds the same as playing through from the start.
+ */
+export function buildChaseEvents(events, time) {
+    const channels = new Map();
+    const stateOf = (channel) => {
+        if (!channels.has(channel)) {
+            channels.set(channel, { controllers: new Map(), program: null, bend: null });
+        }
+        return channels.get(channel);
+    };
+
+    for (const event of events) {
+        const reached = event.time < time;
+        if (event.type === 'controlChange') {
+            const state = stateOf(event.channel);
+            if (reached) {
+                state.controllers.set(event.controller, event.value);
+            } else if (!state.controllers.has(event.controller)) {
+                state.controllers.set(event.controller, CONTROLLER_DEFAULTS[event.controller] ?? 0);
+            }
+        } else if (event.type === 'programChange') {
+            // Not reached yet: the first program of the channel is still the right one
+            const state = stateOf(event.channel);
+            if (reached || state.program === null) state.program = event.program;
+        } else if (event.type === 'pitchBend') {
+            const state = stateOf(event.channel);
+            if (reached) state.bend = event.value;
+            else if (state.bend === null) state.bend = 8192;
+        }
+    }
+
+    const chase = [];
+    channels.forEach((state, channel) => {
+        state.controllers.forEach((value, controller) => {
+            chase.push({ type: 'controlChange', time, channel, controller, value });
+        });
+        if (state.program !== null) {
+            chase.push({ type: 'programChange', time, channel, program: state.program });
+        }
+        if (state.bend !== null) {
+            chase.push({ type: 'pitchBend', time, channel, value: state.bend });
+        }
+    });
+    return chase;
+}
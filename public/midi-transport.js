@@ -0,0 +1,128 @@
+/**
+ * MIDI Transport - Tempo Map Service
+ * Musical position (bar, beat, BPM, meter) for any song time, built from the full
+ * header.tempos and header.timeSignatures of a @tonejs/midi file, so tempo and
+ * meter changes are followed no matter which player is producing the sound.
+ * Bars and beats are 0-based like Tone.Transport positions.
+ */
+
+export class MidiTransport {
+    constructor(midi) {
+        const header = midi.header;
+        this.ppq = header.ppq || 480;
+
+        // Tempo segments with their start time, so ticks <-> seconds is a lookup plus one division
+        const tempos = [...header.tempos].sort((a, b) => a.ticks - b.ticks);
+        if (tempos.length === 0 || tempos[0].ticks > 0) {
+            tempos.unshift({ ticks: 0, bpm: 120 });
+        }
+        this.tempos = [];
+        tempos.forEach(tempo => {
+            const prev = this.tempos[this.tempos.length - 1];
+            const time = prev ? prev.time + this._ticksToSecondsAt(prev, tempo.ticks - prev.ticks) : 0;
+            this.tempos.push({ ticks: tempo.ticks, bpm: tempo.bpm, time });
+        });
+
+        // Meter segments with the (fractional) bar number they start on
+        const meters = [...header.timeSignatures].sort((a, b) => a.ticks - b.ticks);
+        if (meters.length === 0 || meters[0].ticks > 0) {
+            meters.unshift({ ticks: 0, timeSignature: [4, 4] });
+        }
+        this.meters = [];
+        meters.forEach(meter => {
+            const [numerator, denominator] = meter.timeSignature;
+            const beatTicks = this.ppq * 4 / denominator;
+            const prev = this.meters[this.meters.length - 1];
+            const startBar = prev ? prev.startBar + (meter.ticks - prev.ticks) / prev.barTicks : 0;
+            this.meters.push({ ticks: meter.ticks, numerator, denominator, beatTicks, barTicks: beatTicks * numerator, startBar });
+        });
+    }
+
+    _ticksToSecondsAt(tempo, ticks) {
+        return (ticks / this.ppq) * (60 / tempo.bpm);
+    }
+
+    // Last segment starting at or before the given value
+    _segmentAt(segments, key, value) {
+        let lo = 0;
+        let hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (segments[mid][key] <= value) lo = mid;
+            else hi = mid - 1;
+        }
+        return segments[lo];
+    }
+
+    secondsToTicks(time) {
+        const tempo = this._segmentAt(this.tempos, 'time', time);
+        return tempo.ticks + (time - tempo.time) * (tempo.bpm / 60) * this.ppq;
+    }
+
+    ticksToSeconds(ticks) {
+        const tempo = this._segmentAt(this.tempos, 'ticks', ticks);
+        return tempo.time + this._ticksToSecondsAt(tempo, ticks - tempo.ticks);
+    }
+
+    getBpm(time) {
+        return this._segmentAt(this.tempos, 'time', time).bpm;
+    }
+
+    getTimeSignature(time) {
+        const meter = this._segmentAt(this.meters, 'ticks', this.secondsToTicks(time));
+        return [meter.numerator, meter.denominator];
+    }
+
+    /**
+     * Position at a song time.
+     * @returns {{bar: number, beat: number, sixteenth: number, beatProgress: number, bpm: number, timeSignature: number[]}}
+     */
+    getInfo(time) {
+        const ticks = this.secondsToTicks(Math.max(0, time));
+        const meter = this._segmentAt(this.meters, 'ticks', ticks);
+
+        const barPosition = meter.startBar + (ticks - meter.ticks) / meter.barTicks;
+        const bar = Math.floor(barPosition + 1e-9);
+        const beatPosition = Math.max(0, (barPosition - bar) * meter.numerator);
+        const beat = Math.min(meter.numerator - 1, Math.floor(beatPosition + 1e-9));
+        const beatProgress = Math.max(0, beatPosition - beat);
+
+        return {
+            bar,
+            beat,
+            sixteenth: beatProgress * 4,
+            beatProgress,
+            bpm: this.getBpm(time),
+            timeSignature: [meter.numerator, meter.denominator]
+        };
+    }
+
+    /**
+     * Beat positions between two song times, for drawing grids.
+     * @returns {Array<{time: number, isDownbeat: boolean}>}
+     */
+    getBeatTimes(startTime, endTime) {
+        const beats = [];
+        const startTicks = this.secondsToTicks(Math.max(0, startTime));
+        const endTicks = this.secondsToTicks(Math.max(0, endTime));
+
+        this.meters.forEach((meter, i) => {
+            const segmentEnd = i + 1 < this.meters.length ? this.meters[i + 1].ticks : Infinity;
+            const from = Math.max(startTicks, meter.ticks);
+            const to = Math.min(endTicks, segmentEnd);
+            if (from > to) return;
+
+            // Beats counted from the segment start; downbeats from the bar grid it continues
+            const barOffset = (meter.startBar % 1) * meter.numerator;
+            let index = Math.ceil((from - meter.ticks) / meter.beatTicks - 1e-9);
+            let ticks = meter.ticks + index * meter.beatTicks;
+            while (ticks <= to && ticks < segmentEnd) {
+                const beatInBar = Math.round(index + barOffset) % meter.numerator;
+                beats.push({ time: this.ticksToSeconds(ticks), isDownbeat: beatInBar === 0 });
+                index++;
+                ticks = meter.ticks + index * meter.beatTicks;
+            }
+        });
+        return beats;
+    }
+}
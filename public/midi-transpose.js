@@ -0,0 +1,25 @@
+/**
+ * Global Transpose Helpers
+ * Shared by the players (what is heard) and the MIDI analyzers (what is drawn),
+ * so both shift notes the same way. Channel 9 is GM percussion and never moves.
+ */
+
+export const DRUM_CHANNEL = 9;
+export const MAX_TRANSPOSE = 12;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export function clampTranspose(semitones) {
+    return Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, Math.round(semitones) || 0));
+}
+
+// Pitch after transposition, kept inside the MIDI range
+export function transposePitch(channel, midi, semitones) {
+    if (!semitones || channel === DRUM_CHANNEL) return midi;
+    return Math.max(0, Math.min(127, midi + semitones));
+}
+
+// Scientific pitch name as @tonejs/midi writes it (60 -> "C4")
+export function midiToNoteName(midi) {
+    return NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1);
+}
@@ -0,0 +1,81 @@
+/**
+ * Playback Events
+ * The lifecycle events MidiPlayerManager and AudioAnalyzer emit, and the emitter they share.
+ * Event names are fixed per emitter: subscribing to or emitting an unknown name throws,
+ * so a typo shows up at once instead of as a listener that never fires.
+ *
+ * Payloads:
+ *   loaded      { file, duration }
+ *   play        { time }            - playback started or resumed at a song time
+ *   pause       { time }
+ *   seek        { time }
+ *   ended       { }                 - reached the end by itself, not on stop()
+ *   error       { error }
+ *   noteOn      { channel, pitch, velocity, startTime, endTime }
+ *   noteOff     { channel, pitch, velocity, startTime, endTime }
+ *   tempoChange { bpm, time }
+ *   analyzed    { analysis }        - AudioAnalyzer only: the whole-file AudioPreAnalysis is ready,
+ *                                     null when a new file starts being analysed
+ */
+
+export const PlaybackEvent = {
+    LOADED: 'loaded',
+    PLAY: 'play',
+    PAUSE: 'pause',
+    SEEK: 'seek',
+    ENDED: 'ended',
+    ERROR: 'error',
+    NOTE_ON: 'noteOn',
+    NOTE_OFF: 'noteOff',
+    TEMPO_CHANGE: 'tempoChange',
+    ANALYZED: 'analyzed'
+};
+
+export class TypedEventEmitter {
+    /**
+     * @param {string[]} eventTypes - the names this emitter supports
+     */
+    constructor(eventTypes = Object.values(PlaybackEvent)) {
+        this.listeners = new Map(eventTypes.map(type => [type, new Set()]));
+    }
+
+    /**
+     * @param {string} type
+     * @param {(detail: Object) => void} listener
+     * @returns {() => void} removes the listener
+     */
+    on(type, listener) {
+        this._listenersOf(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this._listenersOf(type).delete(listener);
+    }
+
+    // Listener that removes itself after the first event
+    once(type, listener) {
+        const unsubscribe = this.on(type, (detail) => {
+            unsubscribe();
+            listener(detail);
+        });
+        return unsubscribe;
+    }
+
+    // A failing listener is logged so it cannot stop playback or the other listeners
+    emit(type, detail = {}) {
+        this._listenersOf(type).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`❌ Events: "${type}" listener failed:`, error);
+            }
+        });
+    }
+
+    _listenersOf(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) throw new Error(`Unknown playback event: ${type}`);
+        return listeners;
+    }
+}
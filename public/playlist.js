@@ -0,0 +1,214 @@
+/**
+ * Playlist
+ * The queue of MIDI and audio files to play: add files or whole dropped folders, reorder,
+ * remove, previous/next, shuffle and repeat (off, all, one).
+ * Shuffle draws each track once per round in random order; previous walks back through
+ * the tracks actually played, so it works the same with and without shuffle.
+ */
+
+export const MIDI_EXTENSIONS = ['.mid', '.midi'];
+export const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.oga', '.flac', '.m4a', '.aac', '.opus', '.webm'];
+
+export const RepeatMode = {
+    OFF: 'off',
+    ALL: 'all',
+    ONE: 'one'
+};
+
+export function isMidiFile(file) {
+    const name = file.name.toLowerCase();
+    return MIDI_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+// Files the player can open; folders also bring covers, playlists and text files along
+export function isPlayableFile(file) {
+    const name = file.name.toLowerCase();
+    return isMidiFile(file) || AUDIO_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Files of a drop, with dropped folders read recursively in path order.
+ * Falls back to dataTransfer.files where directory entries are not available.
+ * @returns {Promise<File[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const items = [...(dataTransfer.items || [])];
+    const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    if (entries.length === 0 || !entries.some(entry => entry.isDirectory)) {
+        return [...dataTransfer.files];
+    }
+
+    const found = [];
+    for (const entry of entries) {
+        await readEntry(entry, found);
+    }
+    return found
+        .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }))
+        .map(({ file }) => file);
+}
+
+async function readEntry(entry, found) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        found.push({ path: entry.fullPath, file });
+        return;
+    }
+    const reader = entry.createReader();
+    // readEntries hands out directories in batches until it returns an empty one
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        for (const child of batch) await readEntry(child, found);
+    }
+}
+
+export class Playlist {
+    constructor() {
+        this.items = [];        // { id, file, name, isMidi }
+        this.currentId = null;
+        this.shuffle = false;
+        this.repeat = RepeatMode.OFF;
+        this.history = [];      // Ids in the order they were played, for previous()
+        this.shufflePlayed = new Set(); // Ids already drawn in this shuffle round
+        this.nextId = 1;
+    }
+
+    /**
+     * Appends the playable files, skipping the rest.
+     * @returns {Array<Object>} the new entries
+     */
+    add(files) {
+        const added = [...files].filter(isPlayableFile).map(file => ({
+            id: `track-${this.nextId++}`,
+            file,
+            name: file.name.replace(/\.[^/.]+$/, ''),
+            isMidi: isMidiFile(file)
+        }));
+        this.items.push(...added);
+        return added;
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.history = this.history.filter(historyId => historyId !== id);
+        this.shufflePlayed.delete(id);
+        if (this.currentId === id) this.currentId = null;
+    }
+
+    clear() {
+        this.items = [];
+        this.currentId = null;
+        this.history = [];
+        this.shufflePlayed.clear();
+    }
+
+    // Move a track up (-1) or down (1) in the queue
+    move(id, direction) {
+        const index = this._indexOf(id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.items.length) return;
+        [this.items[index], this.items[target]] = [this.items[target], this.items[index]];
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    getItems() {
+        return [...this.items];
+    }
+
+    get current() {
+        return this.get(this.currentId);
+    }
+
+    get isEmpty() {
+        return this.items.length === 0;
+    }
+
+    // Makes a track the current one; @returns {Object|null} the track
+    select(id) {
+        const item = this.get(id);
+        if (!item) return null;
+        if (this.currentId !== id) {
+            if (this.currentId) this.history.push(this.currentId);
+            this.currentId = id;
+        }
+        this.shufflePlayed.add(id);
+        return item;
+    }
+
+    /**
+     * The track after the current one, made current.
+     * @param {boolean} [auto] - the current track ended by itself: repeat-one plays it again
+     * @returns {Object|null} null at the end of the queue with repeat off
+     */
+    next(auto = false) {
+        if (this.isEmpty) return null;
+        if (auto && this.repeat === RepeatMode.ONE && this.current) return this.current;
+        const id = this.shuffle ? this._nextShuffled() : this._nextInOrder();
+        return id ? this.select(id) : null;
+    }
+
+    /**
+     * The track played before the current one; without history, the one above it in the queue.
+     * @returns {Object|null}
+     */
+    previous() {
+        while (this.history.length > 0) {
+            const id = this.history.pop();
+            if (this.get(id) && id !== this.currentId) {
+                this.currentId = id;
+                return this.current;
+            }
+        }
+        const index = this._indexOf(this.currentId);
+        if (index > 0) {
+            this.currentId = this.items[index - 1].id;
+        } else if (index === 0 && this.repeat !== RepeatMode.OFF) {
+            this.currentId = this.items[this.items.length - 1].id;
+        } else {
+            return null;
+        }
+        return this.current;
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        // A new round starts with the current track already drawn
+        this.shufflePlayed.clear();
+        if (this.currentId) this.shufflePlayed.add(this.currentId);
+    }
+
+    setRepeat(mode) {
+        this.repeat = Object.values(RepeatMode).includes(mode) ? mode : RepeatMode.OFF;
+    }
+
+    // Off -> all -> one -> off, @returns {string} the new mode
+    cycleRepeat() {
+        const modes = Object.values(RepeatMode);
+        this.setRepeat(modes[(modes.indexOf(this.repeat) + 1) % modes.length]);
+        return this.repeat;
+    }
+
+    _indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    _nextInOrder() {
+        const index = this._indexOf(this.currentId);
+        if (index + 1 < this.items.length) return this.items[index + 1].id;
+        return this.repeat !== RepeatMode.OFF ? this.items[0].id : null;
+    }
+
+    _nextShuffled() {
+        let remaining = this.items.filter(item => !this.shufflePlayed.has(item.id));
+        if (remaining.length === 0) {
+            if (this.repeat === RepeatMode.OFF) return null;
+            this.shufflePlayed.clear();
+            // Never the same track twice in a row across rounds
+            remaining = this.items.length > 1 ? this.items.filter(item => item.id !== this.currentId) : this.items;
+        }
+        return remaining[Math.floor(Math.random() * remaining.length)].id;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * User Sound Bank Library
+ * SoundFonts (SF2/SF3) and DLS banks dropped onto the app, layered over the built-in GM set.
+ * Banks are parsed once on the main thread for their preset list; the raw file is what
+ * SpessaSynth loads, FluidSynth gets an uncompressed SF2 copy since it reads neither SF3 nor DLS.
+ * The list is ordered by priority: the first bank that has a preset wins.
+ */
+
+import { SoundBankLoader } from 'spessasynth_core';
+
+export const SOUNDBANK_EXTENSIONS = ['.sf2', '.sf3', '.dls'];
+
+export function isSoundBankFile(file) {
+    const name = file.name.toLowerCase();
+    return SOUNDBANK_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+export class SoundBankLibrary {
+    constructor() {
+        this.banks = [];    // { id, name, fileName, format, buffer, presets, sf2Buffer }
+        this.nextId = 1;
+    }
+
+    /**
+     * Parses a bank file and puts it on top of the stack.
+     * @returns {Promise<Object>} the new bank entry
+     */
+    async add(file) {
+        if (!isSoundBankFile(file)) {
+            throw new Error(`Desteklenmeyen ses bankası: ${file.name}`);
+        }
+
+        const buffer = await file.arrayBuffer();
+        // The loader keeps views into the buffer it gets, so it works on a copy
+        const soundBank = SoundBankLoader.fromArrayBuffer(buffer.slice(0));
+        const format = file.name.toLowerCase().split('.').pop();
+
+        const entry = {
+            id: `user-${this.nextId++}`,
+            name: soundBank.soundBankInfo.name || file.name,
+            fileName: file.name,
+            format,
+            buffer,
+            presets: soundBank.presets
+                .map(preset => ({
+                    bank: preset.bankMSB,
+                    program: preset.program,
+                    name: preset.name,
+                    isDrum: preset.isAnyDrums
+                }))
+                .sort((a, b) => a.bank - b.bank || a.program - b.program),
+            sf2Buffer: format === 'sf2' ? buffer : null
+        };
+        this.banks.unshift(entry);
+        console.log(`✅ SoundBank: ${entry.name} (${entry.presets.length} presets)`);
+        return entry;
+    }
+
+    remove(id) {
+        this.banks = this.banks.filter(bank => bank.id !== id);
+    }
+
+    // Move a bank up (-1) or down (1) in priority
+    move(id, direction) {
+        const index = this.banks.findIndex(bank => bank.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.banks.length) return;
+        [this.banks[index], this.banks[target]] = [this.banks[target], this.banks[index]];
+    }
+
+    get(id) {
+        return this.banks.find(bank => bank.id === id) || null;
+    }
+
+    // Highest priority first
+    getBanks() {
+        return [...this.banks];
+    }
+
+    // The bank as plain SF2, converted on first use
+    async getSf2Buffer(entry) {
+        if (!entry.sf2Buffer) {
+            console.log(`🔄 SoundBank: Converting ${entry.fileName} to SF2...`);
+            const soundBank = SoundBankLoader.fromArrayBuffer(entry.buffer.slice(0));
+            entry.sf2Buffer = await soundBank.writeSF2({ decompress: true });
+        }
+        return entry.sf2Buffer;
+    }
+}
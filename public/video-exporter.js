@@ -1,9 +1,11 @@
 import * as Tone from 'tone';
+import { PlaybackEvent } from './playback-events.js';
 
 /**
  * VideoExporter
  * Captures Canvas and Tone.js shared audio into a high-quality video.
  * Optimized for robustness against context mismatches and 1-second truncation.
+ * Recording pauses while playback is paused or has ended, so the video has no silent gaps.
  */
 export class VideoExporter {
     constructor(canvas, app) {
@@ -14,6 +16,9 @@ export class VideoExporter {
         this.isRecording = false;
         this.stream = null;
         this.startTime = 0;
+        this.pausedAt = null;       // Date.now() when the recorder was paused
+        this.pausedTotal = 0;       // Milliseconds spent paused, left out of the recording time
+        this.unsubscribes = [];
         this.originalWidth = canvas.width;
         this.originalHeight = canvas.height;
     }
@@ -177,13 +182,38 @@ export class VideoExporter {
             if (this.recorder.state === 'inactive') {
                 this.recorder.start(1000);
                 this.startTime = Date.now();
+                this.pausedAt = null;
+                this.pausedTotal = 0;
                 console.log('✅ Export: Recording ACTIVE');
             }
         }, 1000);
+
+        this.unsubscribes = [this.app.midiPlayer, this.app.analyzer].filter(source => source && source.on).flatMap(source => [
+            source.on(PlaybackEvent.PAUSE, () => this.pauseRecorder()),
+            source.on(PlaybackEvent.ENDED, () => this.pauseRecorder()),
+            source.on(PlaybackEvent.PLAY, () => this.resumeRecorder())
+        ]);
+    }
+
+    pauseRecorder() {
+        if (!this.recorder || this.recorder.state !== 'recording') return;
+        this.recorder.pause();
+        this.pausedAt = Date.now();
+        console.log('⏸️ Export: Recording paused with playback');
+    }
+
+    resumeRecorder() {
+        if (!this.recorder || this.recorder.state !== 'paused') return;
+        this.recorder.resume();
+        this.pausedTotal += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        console.log('▶️ Export: Recording resumed');
     }
 
     stopRecording() {
         if (!this.isRecording) return;
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
         this.recorder.stop();
         this.isRecording = false;
         console.log('📹 Export: Recording stopped.');
@@ -204,7 +234,7 @@ export class VideoExporter {
 
     getRecordingTime() {
         if (!this.isRecording) return '00:00';
-        const ms = Date.now() - this.startTime;
+        const ms = (this.pausedAt ?? Date.now()) - this.startTime - this.pausedTotal;
         const sec = Math.floor(ms / 1000) % 60;
         const min = Math.floor(ms / 60000);
         return `${min.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
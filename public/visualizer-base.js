@@ -26,6 +26,25 @@ export class Visualizer {
 
     render() { }
 
+    // Mixer-driven opacity of a MIDI channel: 1 = normal, lower = dimmed, 0 = hidden
+    getChannelVisibility(channelId) {
+        return window.app && window.app.getChannelVisibility ? window.app.getChannelVisibility(channelId) : 1;
+    }
+
+    // Playback jumped (A-B loop wrap, seek, restart): visualizers keeping history drop what no longer connects
+    onDiscontinuity(time) { }
+
+    // Playback events passed on by the app: a note starts or ends sounding ({ channel, pitch, velocity, startTime, endTime })
+    onNoteOn(note) { }
+    onNoteOff(note) { }
+
+    // The song's tempo changed, also sent once when playback starts
+    onTempoChange(bpm) { }
+
+    // Audio files: the whole-file AudioPreAnalysis (beats, envelope, sections) is ready for lookahead,
+    // null while a new file is being analysed
+    onPreAnalysis(analysis) { }
+
     getName() { return 'Base'; }
 
     // Utility: HSL to RGB conversion
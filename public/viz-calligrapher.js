@@ -68,6 +68,9 @@ export class TheCalligrapher extends Visualizer {
         this.activityLevel = 0;
         this.lastNoteTime = 0;
 
+        // Notes sounding now, from the note events of MIDI playback
+        this.soundingNotes = [];
+
         this.resize(canvas.width, canvas.height);
     }
 
@@ -97,8 +100,35 @@ export class TheCalligrapher extends Visualizer {
         this.scrollSpeed = 0;
     }
 
+    // Lift the pen so the stroke does not bridge the jump, and leave a faint seam where it happened
+    onDiscontinuity(time) {
+        this.trailPoints = [];
+        this.isLooping = false;
+        this.isPenDown = false;
+
+        if (this.offCtx) {
+            this.offCtx.save();
+            this.offCtx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            this.offCtx.setLineDash([4, 6]);
+            this.offCtx.beginPath();
+            this.offCtx.moveTo(this.penX, this.height * 0.1);
+            this.offCtx.lineTo(this.penX, this.height * 0.9);
+            this.offCtx.stroke();
+            this.offCtx.restore();
+        }
+    }
+
+    onNoteOn(note) {
+        this.soundingNotes.push(note);
+    }
+
+    onNoteOff(note) {
+        this.soundingNotes = this.soundingNotes.filter(sounding => sounding !== note);
+    }
+
     update(analysis, dt) {
         super.update(analysis, dt);
+        if (!analysis.isMidi) this.soundingNotes = [];
 
         // Gather note information
         let totalEnergy = 0;
@@ -108,7 +138,22 @@ export class TheCalligrapher extends Visualizer {
         let maxChannelEnergy = 0;
         let noteCount = 0;
 
-        if (analysis.channelData) {
+        if (this.soundingNotes.length > 0) {
+            // The real pitches, louder notes pull harder
+            for (const note of this.soundingNotes) {
+                if (this.getChannelVisibility(note.channel) === 0) continue;
+                const weight = Math.max(0.05, note.velocity);
+                noteCount++;
+                totalEnergy += weight;
+                weightedPitch += note.pitch * weight;
+                totalWeight += weight;
+
+                if (weight > maxChannelEnergy) {
+                    maxChannelEnergy = weight;
+                    dominantChannel = note.channel ?? 0;
+                }
+            }
+        } else if (analysis.channelData) {
             for (const ch of analysis.channelData) {
                 if (ch.energy > 0.05) {
                     noteCount += ch.noteCount;
@@ -144,7 +189,7 @@ export class TheCalligrapher extends Visualizer {
         // Determine target Y from pitch
         if (totalWeight > 0) {
             const avgPitch = weightedPitch / totalWeight;
-            const normalizedPitch = (avgPitch - 30) / 70;
+            const normalizedPitch = Math.max(0, Math.min(1, (avgPitch - 30) / 70));
             this.targetY = this.height * 0.12 + (1 - normalizedPitch) * this.height * 0.76;
 
             this.targetHue = (dominantChannel * 35 + 180) % 360;
@@ -307,6 +307,14 @@ export class CalligraphyOrchestra extends Visualizer {
         this.activeChannels = [];
     }
 
+    // Break every pen's stroke so none bridges the jump
+    onDiscontinuity(time) {
+        for (const pen of this.pens) {
+            pen.trailPoints = [];
+            pen.isLooping = false;
+        }
+    }
+
     update(analysis, dt) {
         super.update(analysis, dt);
 
@@ -315,6 +323,8 @@ export class CalligraphyOrchestra extends Visualizer {
 
         if (analysis.channelData) {
             for (const ch of analysis.channelData) {
+                // Hidden (muted) channels lift their pen and give up their zone
+                if (this.getChannelVisibility(ch.channelId) === 0) continue;
                 channelMap.set(ch.channelId, ch);
                 if (ch.energy > 0.05) {
                     newActiveChannels.push(ch.channelId);
@@ -429,7 +439,7 @@ export class CalligraphyOrchestra extends Visualizer {
             const p2 = pts[len - 1];
 
             const [r, g, b] = this.hslToRgb(p1.hue, 0.6, 0.4);
-            const alpha = pen.opacity;
+            const alpha = pen.opacity * this.getChannelVisibility(pen.channelId);
 
             // Main stroke
             ctx.strokeStyle = this.rgbString(r, g, b, 0.9 * alpha);
@@ -476,7 +486,7 @@ export class CalligraphyOrchestra extends Visualizer {
 
             const penX = pen.getPenX(this.sharedX);
             const [r, g, b] = this.hslToRgb(pen.currentHue, 0.7, 0.55);
-            const alpha = pen.opacity * 0.9;
+            const alpha = pen.opacity * 0.9 * this.getChannelVisibility(pen.channelId);
 
             // Glow
             const glowSize = 25 * pen.scale;
@@ -508,7 +518,7 @@ export class CalligraphyOrchestra extends Visualizer {
             for (const chId of this.activeChannels) {
                 const pen = this.pens[chId];
                 const [r, g, b] = this.hslToRgb(pen.currentHue, 0.6, 0.5);
-                ctx.fillStyle = this.rgbString(r, g, b, 0.9 * pen.opacity);
+                ctx.fillStyle = this.rgbString(r, g, b, 0.9 * pen.opacity * this.getChannelVisibility(chId));
                 ctx.fillText(`CH${chId + 1}`, this.width - 12, legendY);
                 legendY += 14;
             }
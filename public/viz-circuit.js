@@ -108,6 +108,7 @@ export class TheCircuit extends Visualizer {
         // Process channel data for new lines
         if (analysis.channelData) {
             for (const ch of analysis.channelData) {
+                if (this.getChannelVisibility(ch.channelId) === 0) continue; // Hidden (muted) channel
                 if (ch.isBeat && ch.energy > 0.15) {
                     this.spawnLine(ch.channelId, ch.energy);
                 }
@@ -274,22 +275,33 @@ export class TheCircuit extends Visualizer {
         // Draw core switch
         this.drawCore(ctx);
 
+        // Muted channels are dimmed or skipped, per the mixer setting
+        const visibility = new Map();
+        const visibilityOf = (channelId) => {
+            if (!visibility.has(channelId)) visibility.set(channelId, this.getChannelVisibility(channelId));
+            return visibility.get(channelId);
+        };
+
         // Draw all lines
         for (const line of this.lines) {
-            this.drawLine(ctx, line);
+            ctx.globalAlpha = visibilityOf(line.channelId);
+            if (ctx.globalAlpha > 0) this.drawLine(ctx, line);
         }
 
         // Draw pulses on top
         for (const pulse of this.pulses) {
-            this.drawPulse(ctx, pulse);
+            ctx.globalAlpha = visibilityOf(pulse.line.channelId);
+            if (ctx.globalAlpha > 0) this.drawPulse(ctx, pulse);
         }
 
         // Draw endpoint nodes
         for (const line of this.lines) {
-            if (line.opacity > 0.3) {
+            ctx.globalAlpha = visibilityOf(line.channelId);
+            if (line.opacity > 0.3 && ctx.globalAlpha > 0) {
                 this.drawEndpoint(ctx, line);
             }
         }
+        ctx.globalAlpha = 1;
     }
 
     drawCore(ctx) {
@@ -29,7 +29,7 @@ export class GeometricPatterns extends Visualizer {
             }
         }
         this.morphFactor *= 0.95;
-        this.hueShift = analysis.spectralCentroid / 20;
+        this.hueShift = analysis.spectralCentroid / 470; // Centroid in Hz
     }
 
     drawPolygon(cx, cy, radius, sides, rotation, color, lineWidth = 2) {
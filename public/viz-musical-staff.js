@@ -104,7 +104,7 @@ export class RoadRunner3 extends Visualizer {
 
                 // Sync Name
                 if (midiHandler.midi) {
-                    const trackMeta = midiHandler.midi.tracks.find(t => t.channel === chId);
+                    const trackMeta = midiHandler.midi.tracks.find(t => t.channel === chId && t.notes.length > 0);
                     if (trackMeta && trackMeta.instrument) {
                         const cleanName = window.app.midiEngine.GM_MAP[trackMeta.instrument.number] || trackMeta.instrument.name;
                         track.name = cleanName.replace(/_/g, ' ').toUpperCase();
@@ -29,7 +29,7 @@ export class ParticleSystem extends Visualizer {
 
     update(analysis, dt) {
         super.update(analysis, dt);
-        this.baseHue = (analysis.spectralCentroid / 5) % 360;
+        this.baseHue = (analysis.spectralCentroid / 117) % 360; // Centroid in Hz
 
         if (analysis.isBeat && analysis.totalEnergy > 100) {
             this.explosionForce = 600;
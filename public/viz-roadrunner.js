@@ -39,7 +39,9 @@ export class RoadRunner extends Visualizer {
         this.explosions = [];
         this.trackOffset = 0;
         this.isMidiMode = false;
-        this.transport = null;
+        this.bpm = 0;                   // From tempo change events, sets how long the downbeat pulse lasts
+        this.preAnalysis = null;        // Beat grid of an audio file, null for MIDI or until it is ready
+        this.trailStartTime = 0;        // Notes before this were not played in this pass (loop wrap, seek)
 
         // Channel visibility settings
         this.maxVisibleChannels = 64;   // Raised limit for large MIDI files
@@ -104,6 +106,20 @@ export class RoadRunner extends Visualizer {
     getMaxVisibleChannels() { return this.maxVisibleChannels; }
     getTotalChannels() { return this.totalChannels; }
 
+    // The trail behind the playhead restarts where playback jumped to
+    onDiscontinuity(time) {
+        this.trailStartTime = time;
+        this.explosions = [];
+    }
+
+    onTempoChange(bpm) {
+        this.bpm = bpm;
+    }
+
+    onPreAnalysis(analysis) {
+        this.preAnalysis = analysis;
+    }
+
     update(analysis, dt) {
         super.update(analysis, dt);
         if (!this.canvas) return;
@@ -111,11 +127,6 @@ export class RoadRunner extends Visualizer {
         // Analysis based update
         this.showMidiWarning = false;
 
-        // Get Rhythmic Info if available
-        if (window.app && window.app.midiHandler && window.app.midiHandler.getTransportInfo) {
-            this.transport = window.app.midiHandler.getTransportInfo();
-        }
-
         // Initialize tracks if needed
         let channelCount = 0;
         if (analysis.channelData) {
@@ -129,23 +140,17 @@ export class RoadRunner extends Visualizer {
                 const chId = analysis.channelData[i].channelId;
                 this.tracks[i].channelId = chId;
 
-                // Get Instrument Name from Handler
+                // Get Instrument Name from Handler (follows instrument overrides)
                 if (window.app.midiHandler && window.app.midiHandler.midi) {
-                    const trackMeta = window.app.midiHandler.midi.tracks.find(t => t.channel === chId);
-                    if (trackMeta && trackMeta.instrument) {
-                        const prgNum = trackMeta.instrument.number;
-                        const cleanName = window.app.midiHandler.constructor.GM_MAP[prgNum] || trackMeta.instrument.name;
-                        // Format: "Violin", "Acoustic Grand Piano"
-                        this.tracks[i].name = cleanName.replace(/_/g, ' ').toUpperCase();
-                    } else {
-                        this.tracks[i].name = `CH${chId + 1}`;
-                    }
+                    // Format: "VIOLIN", "ACOUSTIC GRAND PIANO"
+                    this.tracks[i].name = window.app.midiHandler.getChannelInstrumentName(chId);
                 }
             }
         }
 
         const energies = analysis.channelData ? analysis.channelData.map(c => c.energy || 0) : [];
         const currentTime = (this.analysis && this.analysis.currentTime) || 0;
+        if (currentTime < this.trailStartTime) this.trailStartTime = 0;
 
         // Update tracks
         this.tracks.forEach((track, i) => {
@@ -156,7 +161,7 @@ export class RoadRunner extends Visualizer {
             if (window.app.midiHandler && window.app.midiHandler.channels[chId]) {
                 // Look ahead 2 seconds, look back 2.5s (to ensure they reach the left edge)
                 notes = window.app.midiHandler.channels[chId].filter(n =>
-                    n.startTime > currentTime - 2.5 && n.startTime < currentTime + 2.0
+                    n.startTime > currentTime - 2.5 && n.startTime >= this.trailStartTime && n.startTime < currentTime + 2.0
                 );
             }
 
@@ -196,10 +201,10 @@ export class RoadRunner extends Visualizer {
         const timeWindow = 2.0;
         const pixelsPerSecond = (width * 0.5) / timeWindow;
 
+        const currentTime = this.getSongTime();
+
         // Draw Rhythmic Grid
-        if (this.transport && window.app.midiHandler) {
-            this.drawGrid(playheadX, pixelsPerSecond, window.app.midiHandler.getCurrentTime());
-        }
+        this.drawGrid(playheadX, pixelsPerSecond, currentTime);
 
         // Playhead Line
         this.ctx.setLineDash([5, 5]);
@@ -220,6 +225,10 @@ export class RoadRunner extends Visualizer {
         this.tracks.forEach(track => {
             if (!track.visible) return;
 
+            // Muted channels fade or disappear depending on the mixer setting
+            const visibility = this.getChannelVisibility(track.channelId);
+            if (visibility === 0) return;
+
             const y = track.baseY;
             const [r, g, b] = track.color;
             const colorStr = this.rgbString(r, g, b, 1);
@@ -236,9 +245,9 @@ export class RoadRunner extends Visualizer {
             this.ctx.fillStyle = colorStr;
             this.ctx.font = 'bold 11px Inter';
             this.ctx.textAlign = 'left';
-            this.ctx.globalAlpha = 0.8;
+            this.ctx.globalAlpha = 0.8 * visibility;
             this.ctx.fillText(track.name, 15, y - 8);
-            this.ctx.globalAlpha = 1;
+            this.ctx.globalAlpha = visibility;
 
             // Draw Connection Line
             if (track.nodes.length > 1) {
@@ -249,7 +258,7 @@ export class RoadRunner extends Visualizer {
                 let started = false;
 
                 track.nodes.forEach(node => {
-                    const relativeTime = node.time - window.app.midiHandler.getCurrentTime();
+                    const relativeTime = node.time - currentTime;
                     const x = playheadX + (relativeTime * pixelsPerSecond);
 
                     if (x > -100 && x < width + 100) {
@@ -261,14 +270,14 @@ export class RoadRunner extends Visualizer {
                         }
                     }
                 });
-                this.ctx.globalAlpha = 0.2;
+                this.ctx.globalAlpha = 0.2 * visibility;
                 this.ctx.stroke();
-                this.ctx.globalAlpha = 1.0;
+                this.ctx.globalAlpha = visibility;
             }
 
             // Draw Nodes
             track.nodes.forEach(node => {
-                const relativeTime = node.time - window.app.midiHandler.getCurrentTime();
+                const relativeTime = node.time - currentTime;
                 const x = playheadX + (relativeTime * pixelsPerSecond);
 
                 // Culling: Ensure nodes reach the very left edge (x=0)
@@ -291,38 +300,61 @@ export class RoadRunner extends Visualizer {
                 } else if (node.played) {
                     this.ctx.strokeStyle = colorStr;
                     this.ctx.lineWidth = 2;
-                    this.ctx.globalAlpha = 0.4;
+                    this.ctx.globalAlpha = 0.4 * visibility;
                     this.ctx.stroke();
-                    this.ctx.globalAlpha = 1.0;
+                    this.ctx.globalAlpha = visibility;
                 } else {
                     this.ctx.fillStyle = colorStr;
                     this.ctx.fill();
                 }
             });
+            this.ctx.globalAlpha = 1.0;
         });
     }
 
+    // Playback position; app.js passes it in the analysis, app-main.js leaves it to the handler
+    getSongTime() {
+        if (this.analysis && this.analysis.currentTime !== undefined) return this.analysis.currentTime;
+        return window.app && window.app.midiHandler ? window.app.midiHandler.getCurrentTime() : 0;
+    }
+
+    // MIDI files have their tempo map, audio files the beats of their pre-analysis
+    getBeatGrid() {
+        if (this.analysis && this.analysis.isMidi) {
+            return window.app && window.app.midiHandler ? window.app.midiHandler.transport : null;
+        }
+        return this.preAnalysis;
+    }
+
     drawGrid(playheadX, pixelsPerSecond, currentTime) {
-        // Draw 1/4 note beat lines
-        const beatInterval = 60 / (window.app.midiHandler.tempo || 120);
+        const grid = this.getBeatGrid();
+        if (!grid) return;
 
         const viewStartTime = currentTime - (playheadX / pixelsPerSecond);
         const viewEndTime = currentTime + ((this.canvas.width - playheadX) / pixelsPerSecond);
-
-        const firstBeat = Math.ceil(viewStartTime / beatInterval) * beatInterval;
-
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        const beats = grid.getBeatTimes(viewStartTime, viewEndTime);
+
+        // Bar lines are brighter and pulse for one beat after the downbeat passes the playhead
+        const beatLength = this.bpm > 0 ? 60 / this.bpm : 0;
+        let pulse = 0;
+        beats.forEach(({ time, isDownbeat }) => {
+            if (isDownbeat && beatLength > 0 && time <= currentTime) {
+                pulse = Math.max(pulse, 1 - (currentTime - time) / beatLength);
+            }
+        });
         this.ctx.lineWidth = 1;
 
-        for (let t = firstBeat; t < viewEndTime; t += beatInterval) {
-            const relativeTime = t - currentTime;
-            const x = playheadX + (relativeTime * pixelsPerSecond);
+        beats.forEach(({ time, isDownbeat }) => {
+            const x = playheadX + ((time - currentTime) * pixelsPerSecond);
+            this.ctx.strokeStyle = isDownbeat
+                ? `rgba(255, 255, 255, ${0.25 + pulse * 0.2})`
+                : 'rgba(255, 255, 255, 0.1)';
 
             this.ctx.beginPath();
             this.ctx.moveTo(x, 0);
             this.ctx.lineTo(x, this.canvas.height);
             this.ctx.stroke();
-        }
+        });
     }
 
     getName() {
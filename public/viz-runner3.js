@@ -40,6 +40,8 @@ export class RoadRunner3 extends Visualizer {
         this.isMidiMode = false;
         this.showMidiWarning = false;
         this.showTrails = true; // Comet tail toggle
+        this.trailStartTime = 0; // Notes before this were not played in this pass (loop wrap, seek)
+        this.bpm = 0; // From tempo change events, shown as the tempo mark
 
         // Piano range for color mapping
         this.minNote = 21; // A0
@@ -85,6 +87,15 @@ export class RoadRunner3 extends Visualizer {
         this.updateTrackPositions();
     }
 
+    // Comet tails and the look-back window restart where playback jumped to
+    onDiscontinuity(time) {
+        this.trailStartTime = time;
+    }
+
+    onTempoChange(bpm) {
+        this.bpm = bpm;
+    }
+
     update(analysis, dt) {
         // Essential: Store analysis and update internal time via base class
         super.update(analysis, dt);
@@ -98,6 +109,7 @@ export class RoadRunner3 extends Visualizer {
         const midiHandler = window.app && window.app.midiHandler;
 
         if (!midiHandler || !midiHandler.midi) return;
+        if (currentTime < this.trailStartTime) this.trailStartTime = 0;
 
         // Sync Tracks with MIDI Channel Data
         if (analysis.channelData && analysis.channelData.length > 0) {
@@ -110,21 +122,18 @@ export class RoadRunner3 extends Visualizer {
                 const chId = analysis.channelData[i].channelId;
                 track.channelId = chId;
 
-                // Safe Instrument Naming
-                if (midiHandler.midi) {
-                    const trackMeta = midiHandler.midi.tracks.find(t => t.channel === chId);
-                    if (trackMeta && trackMeta.instrument) {
-                        const gmMap = midiHandler.constructor.GM_MAP || {};
-                        const instName = gmMap[trackMeta.instrument.number] || trackMeta.instrument.name || `CH ${chId}`;
-                        track.name = instName.replace(/_/g, ' ').toUpperCase();
-                    }
+                // Safe Instrument Naming (follows instrument overrides)
+                if (midiHandler.midi && midiHandler.getChannelInstrumentName) {
+                    track.name = midiHandler.getChannelInstrumentName(chId);
                 }
 
                 // Get notes for the timeline window
                 const lookAhead = 6.0;
                 const lookBack = 4.0;
                 const channelNotes = (midiHandler.channels && midiHandler.channels[chId]) || [];
-                const visibleNotes = channelNotes.filter(n => n.startTime > currentTime - lookBack && n.startTime < currentTime + lookAhead);
+                const visibleNotes = channelNotes.filter(n =>
+                    n.startTime > currentTime - lookBack && n.startTime >= this.trailStartTime && n.startTime < currentTime + lookAhead
+                );
 
                 track.nodes = visibleNotes.map(n => ({
                     time: n.startTime,
@@ -210,6 +219,8 @@ export class RoadRunner3 extends Visualizer {
         ctx.fillStyle = '#0a0a12';
         ctx.fillRect(0, 0, width, this.height);
 
+        this.drawBarLines(playheadX, pixelsPerSecond, currentTime);
+
         this.tracks.forEach((track, trackIndex) => {
             const baseY = track.baseY;
             const trackBaseColor = this.getTrackBaseColor(trackIndex);
@@ -316,6 +327,38 @@ export class RoadRunner3 extends Visualizer {
         ctx.lineTo(playheadX, this.height);
         ctx.stroke();
         ctx.setLineDash([]);
+
+        // Tempo mark, as printed above the first staff
+        if (this.bpm > 0 && this.tracks.length > 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = `${Math.max(11, this.noteSize * 0.6)}px serif`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`${this.symbols.quarter} = ${Math.round(this.bpm)}`, 20, Math.max(20, this.tracks[0].baseY - this.staffSpacing * 0.45));
+        }
+    }
+
+    // Bar lines through every staff at the downbeats of the tempo map
+    drawBarLines(playheadX, pixelsPerSecond, currentTime) {
+        const tempoMap = window.app && window.app.midiHandler && window.app.midiHandler.transport;
+        if (!tempoMap || this.tracks.length === 0) return;
+
+        const lineSpacing = Math.max(4, this.staffSpacing * 0.08);
+        const viewStartTime = currentTime - ((playheadX - 80) / pixelsPerSecond);
+        const viewEndTime = currentTime + ((this.width - playheadX) / pixelsPerSecond);
+
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        this.ctx.lineWidth = 1;
+        tempoMap.getBeatTimes(viewStartTime, viewEndTime).forEach(({ time, isDownbeat }) => {
+            if (!isDownbeat) return;
+            const x = playheadX + ((time - currentTime) * pixelsPerSecond);
+            this.tracks.forEach(track => {
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, track.baseY - lineSpacing * 2);
+                this.ctx.lineTo(x, track.baseY + lineSpacing * 2);
+                this.ctx.stroke();
+            });
+        });
     }
 
     getName() {
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+import { parseMidi } from 'midi-file';
+
+/**
+ * Checks that the scheduler puts every controller of a MIDI file on the channel the file gives it:
+ * the controlChange events of buildMidiEvents(parseMidiFile(file)) are compared per
+ * channel, controller and value with the raw controller events read by midi-file.
+ * Defaults to a format-0 file whose controllers sit in note-less tracks ahead of the notes.
+ * The app modules are loaded through Vite, the way the browser gets them.
+ *
+ * Usage: node scripts/check-track-channels.mjs [file.mid ...]
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILES = [path.join(ROOT, 'public', 'Classical-Archives-Downloads', 'FREE-DL-2026-02-02', 't_spring.mid')];
+
+// "channel controller value" -> how often it occurs
+function countControllers(entries) {
+    const counts = new Map();
+    entries.forEach(({ channel, controller, value }) => {
+        const key = `${channel} ${controller} ${value}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+function compare(expected, actual) {
+    const problems = [];
+    new Set([...expected.keys(), ...actual.keys()]).forEach(key => {
+        const want = expected.get(key) || 0;
+        const got = actual.get(key) || 0;
+        if (want !== got) problems.push(`channel/CC/value ${key}: file has ${want}, scheduler has ${got}`);
+    });
+    return problems;
+}
+
+async function main() {
+    const files = process.argv.length > 2 ? process.argv.slice(2) : DEFAULT_FILES;
+    const server = await createServer({
+        configFile: path.join(ROOT, 'vite.config.js'),
+        server: { middlewareMode: true, hmr: false },
+        appType: 'custom',
+        logLevel: 'error',
+        // Bundled for Node like the browser build does, both are CommonJS with named imports
+        ssr: { noExternal: ['@tonejs/midi', 'midi-file'], optimizeDeps: { include: ['@tonejs/midi', 'midi-file'] } }
+    });
+
+    let failed = false;
+    try {
+        const { parseMidiFile } = await server.ssrLoadModule('/midi-file-parser.js');
+        const { buildMidiEvents } = await server.ssrLoadModule('/midi-scheduler.js');
+
+        for (const file of files) {
+            const bytes = new Uint8Array(fs.readFileSync(file));
+            const raw = parseMidi(bytes).tracks.flat()
+                .filter(event => event.type === 'controller')
+                .map(event => ({ channel: event.channel, controller: event.controllerType, value: event.value }));
+            const scheduled = buildMidiEvents(parseMidiFile(bytes))
+                .filter(event => event.type === 'controlChange');
+
+            const problems = compare(countControllers(raw), countControllers(scheduled));
+            if (problems.length === 0) {
+                console.log(`✅ ${path.basename(file)}: ${raw.length} controller events on their own channels`);
+            } else {
+                failed = true;
+                console.error(`❌ ${path.basename(file)}:`);
+                problems.slice(0, 20).forEach(problem => console.error(`   ${problem}`));
+            }
+        }
+    } finally {
+        await server.close();
+    }
+    if (failed) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ Check failed:', error);
+    process.exit(1);
+});
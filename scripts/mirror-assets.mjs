@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import { fileURLToPath } from 'url';
+
+/**
+ * Mirrors the player libraries and instrument data the app used to fetch from CDNs
+ * into public/vendor, where public/asset-resolver.js looks for them.
+ * Files that are already there are skipped, so the script can be re-run after a failure.
+ *
+ * Usage: node scripts/mirror-assets.mjs [--salamander]
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLIC_PATH = path.join(__dirname, '..', 'public');
+const VENDOR_DIR = path.join(PUBLIC_PATH, 'vendor');
+
+const WEBAUDIOFONT_PLAYER = 'https://surikov.github.io/webaudiofont/npm/dist/WebAudioFontPlayer.js';
+const WEBAUDIOFONT_DATA = 'https://surikov.github.io/webaudiofontdata/sound';
+const WEBAUDIOFONT_SET = 'FluidR3_GM_sf2_file';
+const TONE_14 = 'https://cdn.jsdelivr.net/npm/tone@14.7.58/build/Tone.js';
+const MAGENTA_CORE = 'https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/es6/core.js';
+const MAGENTA_SOUNDFONTS = 'https://storage.googleapis.com/magentadata/js/soundfonts';
+
+const DRUM_NOTES = { min: 35, max: 81 }; // GM percussion key map
+const PARALLEL_DOWNLOADS = 8;
+
+/**
+ * Download a file from URL to destination with redirect support
+ */
+async function downloadFile(url, dest) {
+    if (fs.existsSync(dest)) return { success: true, skipped: true };
+    const dir = path.dirname(dest);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    return new Promise((resolve) => {
+        const request = (targetUrl) => {
+            https.get(targetUrl, (res) => {
+                if (res.statusCode === 200) {
+                    // Written under a temporary name so an interrupted download is never skipped later
+                    const partial = `${dest}.part`;
+                    const file = fs.createWriteStream(partial);
+                    res.pipe(file);
+                    file.on('finish', () => {
+                        file.close(() => {
+                            fs.renameSync(partial, dest);
+                            resolve({ success: true, skipped: false });
+                        });
+                    });
+                    file.on('error', () => { fs.unlink(partial, () => { }); resolve({ success: false, skipped: false }); });
+                } else if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    request(new URL(res.headers.location, targetUrl).href);
+                } else {
+                    res.resume();
+                    resolve({ success: false, skipped: false });
+                }
+            }).on('error', () => resolve({ success: false, skipped: false }));
+        };
+        request(url);
+    });
+}
+
+async function downloadJson(url, dest) {
+    const result = await downloadFile(url, dest);
+    if (!result.success) return null;
+    return JSON.parse(fs.readFileSync(dest, 'utf8'));
+}
+
+/**
+ * Runs a list of { url, dest } downloads a few at a time and prints a summary line
+ */
+async function downloadAll(label, jobs) {
+    const stats = { downloaded: 0, skipped: 0, failed: [] };
+    let next = 0;
+
+    const worker = async () => {
+        while (next < jobs.length) {
+            const job = jobs[next++];
+            const result = await downloadFile(job.url, job.dest);
+            if (!result.success) stats.failed.push(job.url);
+            else if (result.skipped) stats.skipped++;
+            else stats.downloaded++;
+        }
+    };
+    await Promise.all(Array.from({ length: PARALLEL_DOWNLOADS }, worker));
+
+    const status = stats.failed.length === 0 ? '✅' : '⚠️';
+    console.log(`${status} ${label.padEnd(28)} | İndirilen: ${String(stats.downloaded).padStart(4)} | Mevcut: ${String(stats.skipped).padStart(4)} | Hata: ${String(stats.failed.length).padStart(4)}`);
+    stats.failed.slice(0, 5).forEach(url => console.log(`   └─ ${url}`));
+    return stats;
+}
+
+function webAudioFontJobs() {
+    const dir = path.join(VENDOR_DIR, 'webaudiofontdata', 'sound');
+    const files = [];
+    for (let program = 0; program < 128; program++) {
+        files.push(`${String(program * 10).padStart(4, '0')}_${WEBAUDIOFONT_SET}.js`);
+    }
+    for (let note = DRUM_NOTES.min; note <= DRUM_NOTES.max; note++) {
+        files.push(`128${note}_0_${WEBAUDIOFONT_SET}.js`);
+    }
+    return files.map(file => ({ url: `${WEBAUDIOFONT_DATA}/${file}`, dest: path.join(dir, file) }));
+}
+
+/**
+ * Magenta SoundFont layout: soundfont.json lists the instruments, each instrument.json
+ * gives the pitch range and velocities, samples are p<pitch>_v<velocity>.mp3
+ */
+async function magentaSoundfontJobs(name) {
+    const baseUrl = `${MAGENTA_SOUNDFONTS}/${name}`;
+    const dir = path.join(VENDOR_DIR, 'magenta-soundfonts', name);
+
+    const soundfont = await downloadJson(`${baseUrl}/soundfont.json`, path.join(dir, 'soundfont.json'));
+    if (!soundfont) {
+        console.log(`❌ ${name}/soundfont.json indirilemedi`);
+        return [];
+    }
+
+    const jobs = [];
+    for (const instrument of Object.values(soundfont.instruments)) {
+        const spec = await downloadJson(`${baseUrl}/${instrument}/instrument.json`, path.join(dir, instrument, 'instrument.json'));
+        if (!spec) {
+            console.log(`   ⚠️ ${name}/${instrument}/instrument.json indirilemedi`);
+            continue;
+        }
+        for (let pitch = spec.minPitch; pitch <= spec.maxPitch; pitch++) {
+            for (const velocity of spec.velocities) {
+                const file = `p${pitch}_v${velocity}.mp3`;
+                jobs.push({ url: `${baseUrl}/${instrument}/${file}`, dest: path.join(dir, instrument, file) });
+            }
+        }
+    }
+    return jobs;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('  📦 Local Asset Mirror');
+    console.log(`  📁 ${VENDOR_DIR}`);
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    const failures = [];
+    const run = async (label, jobs) => failures.push(...(await downloadAll(label, jobs)).failed);
+
+    await run('WebAudioFont player', [
+        { url: WEBAUDIOFONT_PLAYER, dest: path.join(VENDOR_DIR, 'webaudiofont', 'WebAudioFontPlayer.js') }
+    ]);
+    await run('WebAudioFont FluidR3 GM', webAudioFontJobs());
+    await run('Tone.js 14.7.58 + Magenta', [
+        { url: TONE_14, dest: path.join(VENDOR_DIR, 'tone@14.7.58', 'Tone.js') },
+        { url: MAGENTA_CORE, dest: path.join(VENDOR_DIR, 'magenta-music@1.23.1', 'core.js') }
+    ]);
+
+    const soundfonts = ['sgm_plus'];
+    if (process.argv.includes('--salamander')) soundfonts.push('salamander');
+    for (const name of soundfonts) {
+        console.log(`\n🔎 Magenta SoundFont: ${name} dosya listesi alınıyor...`);
+        await run(`Magenta ${name}`, await magentaSoundfontJobs(name));
+    }
+
+    console.log('\n───────────────────────────────────────────────────────────');
+    if (!fs.existsSync(path.join(PUBLIC_PATH, 'soundfonts', 'FluidR3_GM.sf2'))) {
+        console.log('⚠️ public/soundfonts/FluidR3_GM.sf2 bulunamadı - SpessaSynth ve FluidSynth için elle ekleyin.');
+    }
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} dosya indirilemedi, script tekrar çalıştırılabilir.`);
+        process.exitCode = 1;
+    } else {
+        console.log('✅ Tüm yerel dosyalar hazır.');
+    }
+}
+
+main();